@@ -0,0 +1,76 @@
+/**
+ * Regenerates stores.json from a store source
+ * Usage:
+ *   node scripts/build-stores.js --source fixture [--fixtures scripts/fixtures/raw] --out build_up/stores.fixture.json
+ *   node scripts/build-stores.js --source http --url <query-url> [--url <query-url> ...] --out stores.json
+ * Options:
+ *   --allow-rejected  Write the file even if some rows fail validation (they are left out)
+ * Refuses to overwrite the output when rows are rejected, so a bad scrape never ships silently
+ */
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { StorePipeline } from './pipeline/StorePipeline.js';
+import { FixtureSource } from './pipeline/sources/FixtureSource.js';
+import { HttpSource } from './pipeline/sources/HttpSource.js';
+import { MESSAGES } from '../src/js/locales/zh-TW.js';
+
+function parseArgs(argv) {
+    const options = { source: 'fixture', fixtures: 'scripts/fixtures/raw', out: null, urls: [], allowRejected: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--source') options.source = argv[++i];
+        else if (arg === '--fixtures') options.fixtures = argv[++i];
+        else if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--url') options.urls.push(argv[++i]);
+        else if (arg === '--allow-rejected') options.allowRejected = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    // No default: overwriting the real stores.json with fixture data must be a deliberate choice
+    if (!options.out) {
+        throw new Error('Missing --out <path>');
+    }
+    return options;
+}
+
+function createSource(options) {
+    switch (options.source) {
+        case 'fixture':
+            return new FixtureSource(options.fixtures);
+        case 'http':
+            if (options.urls.length === 0) {
+                throw new Error('The http source needs at least one --url');
+            }
+            return new HttpSource(options.urls);
+        default:
+            throw new Error(`Unknown source: ${options.source}`);
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const source = createSource(options);
+
+    const { dataset, report, stats } = await new StorePipeline(source).run();
+
+    console.log(`Source ${source.name}: ${stats.fetched} raw record(s)`);
+    console.log(`  without ice cream: ${stats.withoutIceCream}, repeated: ${stats.repeated}`);
+    console.log(`  accepted: ${report.accepted}, rejected: ${report.rejected}, suspicious: ${report.suspicious}`);
+    Object.entries(report.issues).forEach(([code, issue]) => {
+        console.log(`  [${issue.severity}] ${code} x${issue.count}: ${MESSAGES[issue.messageKey]} (${issue.examples.join(', ')})`);
+    });
+
+    if (report.rejected > 0 && !options.allowRejected) {
+        console.error(`Not writing ${options.out}: ${report.rejected} row(s) rejected (use --allow-rejected to override)`);
+        process.exitCode = 1;
+        return;
+    }
+
+    await mkdir(path.dirname(options.out), { recursive: true });
+    await writeFile(options.out, JSON.stringify(dataset));
+    console.log(`Wrote ${dataset.data.length} store(s) to ${options.out} (last_updated: ${dataset.last_updated})`);
+}
+
+main().catch(error => {
+    console.error(`Pipeline failed: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,34 @@
+/**
+ * Maps the free-text ice cream description of a raw store record
+ * to the flavorType / markerColor pair used by the app
+ */
+
+// Canonical flavorType strings, as displayed in store popups
+export const FLAVOR_TYPES = {
+    'blue': '單口味 (Single Flavor)',
+    'red': '雙口味 (Dual Flavor)',
+    'blue-striped': '單口味 + 特殊造型 (Single Flavor + Special Shape)',
+    'red-striped': '雙口味 + 特殊造型 (Dual Flavor + Special Shape)'
+};
+
+const DUAL_PATTERN = /雙口味|雙色|dual/i;
+const SINGLE_PATTERN = /單口味|霜淇淋|fami!?ce|single/i;
+const SHAPE_PATTERN = /特殊造型|造型|圓滾滾|special shape/i;
+
+export class FlavorMapper {
+    /**
+     * @param {string} rawFlavor - e.g. '霜淇淋(雙口味)、圓滾滾造型'
+     * @returns {{flavorType: string, markerColor: string}|null} null when the store sells no ice cream
+     */
+    static map(rawFlavor) {
+        const text = String(rawFlavor || '').normalize('NFKC').trim();
+        if (!text) return null;
+
+        const isDual = DUAL_PATTERN.test(text);
+        if (!isDual && !SINGLE_PATTERN.test(text)) return null;
+
+        const base = isDual ? 'red' : 'blue';
+        const markerColor = SHAPE_PATTERN.test(text) ? `${base}-striped` : base;
+        return { flavorType: FLAVOR_TYPES[markerColor], markerColor };
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * Parses saved or fetched raw store-query responses
+ * The store locator answers with JSONP (e.g. `showShopList([...])`); plain JSON arrays work too
+ */
+export class RawResponseParser {
+    /**
+     * @param {string} text - Response body
+     * @returns {Array<Object>} Raw store records
+     */
+    static parse(text) {
+        const trimmed = text.trim();
+        const jsonText = trimmed.startsWith('[') || trimmed.startsWith('{')
+            ? trimmed
+            : trimmed.replace(/^[\w$.]+\s*\(/, '').replace(/\)\s*;?\s*$/, '');
+
+        const parsed = JSON.parse(jsonText);
+        if (Array.isArray(parsed)) return parsed;
+        if (parsed && Array.isArray(parsed.data)) return parsed.data;
+        throw new Error('Unrecognized raw response shape');
+    }
+}
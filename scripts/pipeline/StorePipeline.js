@@ -0,0 +1,73 @@
+import { StoreDataFormat } from '../../src/js/helpers/StoreDataFormat.js';
+import { StoreValidator } from '../../src/js/helpers/StoreValidator.js';
+import { FlavorMapper } from './FlavorMapper.js';
+
+/**
+ * Turns raw store records from a source adapter into the compact stores.json dataset
+ * Steps: fetch -> drop stores without ice cream -> merge repeated rows -> map flavors -> validate -> pack
+ */
+export class StorePipeline {
+    /**
+     * @param {{name: string, fetchRecords: function(): Promise<Array<Object>>}} source - Source adapter
+     */
+    constructor(source) {
+        this.source = source;
+    }
+
+    /**
+     * @param {Date} now - Timestamp recorded as last_updated
+     * @returns {Promise<{dataset: Object, report: Object, stats: Object}>}
+     */
+    async run(now = new Date()) {
+        const rawRecords = await this.source.fetchRecords();
+        const stats = { fetched: rawRecords.length, withoutIceCream: 0, repeated: 0 };
+
+        const seen = new Set();
+        const mapped = [];
+        rawRecords.forEach(raw => {
+            const flavor = FlavorMapper.map(raw.flavor);
+            if (!flavor) {
+                stats.withoutIceCream++;
+                return;
+            }
+
+            // Overlapping queries (e.g. neighbouring districts) return the same store twice
+            const key = `${raw.NAME}|${raw.addr}`;
+            if (seen.has(key)) {
+                stats.repeated++;
+                return;
+            }
+            seen.add(key);
+
+            mapped.push({
+                NAME: String(raw.NAME || '').trim(),
+                px: Number(raw.px),
+                py: Number(raw.py),
+                addr: String(raw.addr || '').trim(),
+                TEL: String(raw.TEL || '').trim(),
+                ...flavor
+            });
+        });
+
+        const validator = new StoreValidator();
+        const accepted = mapped
+            .map(record => validator.check(record))
+            .filter(result => result.accepted)
+            .map(result => result.record);
+
+        return {
+            dataset: StoreDataFormat.serialize(accepted, StorePipeline.formatTimestamp(now)),
+            report: validator.getReport(),
+            stats
+        };
+    }
+
+    /**
+     * Formats a date the way stores.json records it (Taiwan local time)
+     * @param {Date} date 
+     * @returns {string} e.g. '2026-02-07 19:19:20'
+     */
+    static formatTimestamp(date) {
+        return date.toLocaleString('sv-SE', { timeZone: 'Asia/Taipei', hour12: false });
+    }
+}
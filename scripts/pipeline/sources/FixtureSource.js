@@ -0,0 +1,35 @@
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { RawResponseParser } from '../RawResponseParser.js';
+
+/**
+ * Source adapter that replays saved raw responses from a directory
+ * Lets the whole pipeline run offline and reproducibly
+ */
+export class FixtureSource {
+    /**
+     * @param {string} directory - Folder of .json / .jsonp files, one raw response each
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    get name() {
+        return `fixture:${this.directory}`;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Raw store records from every file, in file name order
+     */
+    async fetchRecords() {
+        const files = (await readdir(this.directory))
+            .filter(file => /\.jsonp?$/.test(file))
+            .sort();
+
+        const batches = await Promise.all(files.map(async file => {
+            const text = await readFile(path.join(this.directory, file), 'utf8');
+            return RawResponseParser.parse(text);
+        }));
+        return batches.flat();
+    }
+}
@@ -0,0 +1,51 @@
+import { RawResponseParser } from '../RawResponseParser.js';
+
+// A stalled request would otherwise hang the whole pipeline
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Source adapter that downloads raw responses over HTTP
+ * Takes the list of query URLs (e.g. one per county) so the endpoint stays configurable
+ */
+export class HttpSource {
+    /**
+     * @param {Array<string>} urls 
+     * @param {{delayMs: number, timeoutMs: number}} options - Pause between requests to stay polite to the server,
+     *        and how long one request may take
+     */
+    constructor(urls, { delayMs = 500, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+        this.urls = urls;
+        this.delayMs = delayMs;
+        this.timeoutMs = timeoutMs;
+    }
+
+    get name() {
+        return `http:${this.urls.length} url(s)`;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Raw store records from every URL, in order
+     */
+    async fetchRecords() {
+        const records = [];
+        for (const url of this.urls) {
+            let text;
+            try {
+                // The timeout covers reading the body too
+                const response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+                if (!response.ok) {
+                    throw new Error(`Request failed (${response.status}) for ${url}`);
+                }
+                text = await response.text();
+            } catch (error) {
+                if (error.name === 'TimeoutError') {
+                    throw new Error(`Request timed out after ${this.timeoutMs} ms for ${url}`);
+                }
+                throw error;
+            }
+            records.push(...RawResponseParser.parse(text));
+            await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+        return records;
+    }
+}
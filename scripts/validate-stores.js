@@ -0,0 +1,38 @@
+/**
+ * Validates a stores.json file with the same rules the store worker enforces at runtime
+ * Usage: node scripts/validate-stores.js [path/to/stores.json] [--strict]
+ * Exits with 1 when rows would be rejected (or, with --strict, when any row is suspicious)
+ */
+import { readFile } from 'node:fs/promises';
+import { StoreDataFormat } from '../src/js/helpers/StoreDataFormat.js';
+import { StoreValidator } from '../src/js/helpers/StoreValidator.js';
+import { MESSAGES } from '../src/js/locales/zh-TW.js';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const filePath = args.find(arg => !arg.startsWith('--')) || 'stores.json';
+
+async function main() {
+    const rawData = JSON.parse(await readFile(filePath, 'utf8'));
+    const { lastUpdated, records } = StoreDataFormat.parse(rawData);
+
+    const validator = new StoreValidator();
+    records.forEach(record => validator.check(record));
+    const report = validator.getReport();
+
+    console.log(`Validated ${filePath} (last_updated: ${lastUpdated || 'n/a'})`);
+    console.log(`  total: ${report.total}, accepted: ${report.accepted}, rejected: ${report.rejected}, suspicious: ${report.suspicious}`);
+
+    Object.entries(report.issues).forEach(([code, issue]) => {
+        console.log(`  [${issue.severity}] ${code} x${issue.count}: ${MESSAGES[issue.messageKey]}`);
+        issue.examples.forEach(example => console.log(`      - ${example}`));
+    });
+
+    const failed = report.rejected > 0 || (strict && report.suspicious > 0);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(`Validation failed: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,61 @@
+/**
+ * Vite plugin that emits service-worker.js into the build output
+ * Injects a manifest derived from the bundle: a content hash as the cache version
+ * and the emitted files as the precache list, so neither is maintained by hand
+ */
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Must match the placeholder in service-worker.js
+const MANIFEST_PLACEHOLDER = '/* BUILD_MANIFEST */ null';
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.source] - Service worker source, relative to the project root
+ * @returns {import('vite').Plugin}
+ */
+export function serviceWorkerPlugin({ source = 'service-worker.js' } = {}) {
+    let root = process.cwd();
+
+    return {
+        name: 'family-icecream-service-worker',
+        apply: 'build',
+        // Run after Vite has added index.html and the worker chunks to the bundle
+        enforce: 'post',
+
+        configResolved(config) {
+            root = config.root;
+        },
+
+        async generateBundle(outputOptions, bundle) {
+            const code = await readFile(path.resolve(root, source), 'utf8');
+            if (!code.includes(MANIFEST_PLACEHOLDER)) {
+                this.error(`${source} is missing the ${MANIFEST_PLACEHOLDER} placeholder`);
+            }
+
+            const fileNames = Object.keys(bundle)
+                .filter(fileName => !fileName.endsWith('.map'))
+                .sort();
+
+            // Hash contents, not just names: index.html changes without changing its name
+            const hash = createHash('sha256');
+            fileNames.forEach(fileName => {
+                const output = bundle[fileName];
+                hash.update(fileName);
+                hash.update(output.type === 'chunk' ? output.code : output.source);
+            });
+
+            const manifest = {
+                version: hash.digest('hex').slice(0, 10),
+                assets: ['./', ...fileNames.map(fileName => `./${fileName}`)]
+            };
+
+            this.emitFile({
+                type: 'asset',
+                fileName: path.basename(source),
+                source: code.replace(MANIFEST_PLACEHOLDER, JSON.stringify(manifest))
+            });
+        }
+    };
+}
@@ -1,36 +1,60 @@
-const CACHE_NAME = 'family-icecream-map-v5';
-const ASSETS_TO_CACHE = [
+// Replaced by scripts/vite/serviceWorkerPlugin.js with {version, assets} from the build output
+// Stays null when the site is served straight from the source tree
+const BUILD_MANIFEST = /* BUILD_MANIFEST */ null;
+
+const CACHE_PREFIX = 'family-icecream-map-';
+const CACHE_NAME = CACHE_PREFIX + (BUILD_MANIFEST ? BUILD_MANIFEST.version : 'source');
+// Store data; kept apart from the versioned cache so an app update never leaves the user without it
+const DATA_CACHE_NAME = 'family-icecream-map-data';
+const DATA_URL = './stores.json';
+// Tiles saved for offline use; must match CONFIG.OFFLINE_TILES.CACHE_NAME
+// Survives app updates, since the user chose what to keep
+const TILE_CACHE_NAME = 'family-icecream-map-tiles';
+const TILE_HOST_SUFFIX = 'basemaps.cartocdn.com';
+
+// Fallback for unbuilt source, where there are no hashed bundles to list
+const SOURCE_ASSETS = [
     './',
     './index.html',
     './manifest.json',
-    './stores.json',
     './icon/icon-192x192.png',
-    './icon/icon-512x512.png',
-    // Source files are bundled by Vite and not available in dist/src/...
-    // We rely on runtime caching for the hashed JS/CSS bundles
+    './icon/icon-512x512.png'
+];
+
+// Third-party files loaded from CDNs; not part of the build, so listed here
+const EXTERNAL_ASSETS = [
     'https://unpkg.com/leaflet@1.7.1/dist/leaflet.css',
-    'https://unpkg.com/leaflet.markercluster/dist/MarkerCluster.css',
-    'https://unpkg.com/leaflet.markercluster/dist/MarkerCluster.Default.css',
     'https://unpkg.com/leaflet@1.7.1/dist/leaflet.js',
-    'https://unpkg.com/leaflet.markercluster/dist/leaflet.markercluster.js',
     'https://fonts.googleapis.com/css2?family=Noto+Sans+TC:wght@400;500;700&display=swap'
 ];
 
-// Install Event - Cache Assets
+const ASSETS_TO_CACHE = [
+    ...(BUILD_MANIFEST ? BUILD_MANIFEST.assets : SOURCE_ASSETS),
+    ...EXTERNAL_ASSETS
+];
+
+// Install Event - Cache Assets and the store data, so the first visit already works offline
+// A new version then waits until the page asks it to take over (see the message handler)
 self.addEventListener('install', (event) => {
-    // Force new service worker to activate immediately
-    self.skipWaiting();
-    
-    event.waitUntil(
+    event.waitUntil(Promise.all([
         caches.open(CACHE_NAME)
             .then((cache) => {
                 console.log('Opened cache');
                 return cache.addAll(ASSETS_TO_CACHE);
-            })
-    );
+            }),
+        caches.open(DATA_CACHE_NAME)
+            .then((cache) => cache.add(DATA_URL))
+    ]));
+});
+
+// Message Event - The page accepted the "new version" prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
 });
 
-// Activate Event - Clean up old caches
+// Activate Event - Clean up caches of previous versions
 self.addEventListener('activate', (event) => {
     // Take control of all clients immediately
     event.waitUntil(clients.claim());
@@ -39,7 +63,8 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
+                    const isKept = [CACHE_NAME, DATA_CACHE_NAME, TILE_CACHE_NAME].includes(cacheName);
+                    if (cacheName.startsWith(CACHE_PREFIX) && !isKept) {
                         return caches.delete(cacheName);
                     }
                 })
@@ -48,28 +73,50 @@ self.addEventListener('activate', (event) => {
     );
 });
 
+/**
+ * Fetches from the network and refreshes the cache, falling back to the cache when offline
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+function networkFirst(request, cacheName) {
+    return fetch(request)
+        .then((response) => {
+            if (response.ok) {
+                const responseClone = response.clone();
+                caches.open(cacheName).then((cache) => {
+                    cache.put(request, responseClone);
+                });
+            }
+            return response;
+        })
+        .catch(() => caches.match(request));
+}
+
 // Fetch Event - Network First for JSON, Cache First for others
 self.addEventListener('fetch', (event) => {
     const url = new URL(event.request.url);
 
     // Strategy for store data: Network First (to get latest updates), fallback to Cache
     if (url.pathname.endsWith('stores.json')) {
+        event.respondWith(networkFirst(event.request, DATA_CACHE_NAME));
+        return;
+    }
+
+    // Unbuilt source has no version to detect updates by, so its own files are always
+    // fetched fresh and the cache only serves them offline
+    if (!BUILD_MANIFEST && url.origin === self.location.origin) {
+        event.respondWith(networkFirst(event.request, CACHE_NAME));
+        return;
+    }
+
+    // Strategy for map tiles: saved offline areas first, then network
+    // Tiles outside saved areas are not cached, so browsing cannot fill up storage
+    if (url.hostname.endsWith(TILE_HOST_SUFFIX)) {
         event.respondWith(
-            fetch(event.request)
-                .then((response) => {
-                    // Update cache with new data
-                    if (response.ok) {
-                        const responseClone = response.clone();
-                        caches.open(CACHE_NAME).then((cache) => {
-                            cache.put(event.request, responseClone);
-                        });
-                    }
-                    return response;
-                })
-                .catch(() => {
-                    // Fallback to cache
-                    return caches.match(event.request);
-                })
+            caches.open(TILE_CACHE_NAME)
+                .then((cache) => cache.match(event.request))
+                .then((response) => response || fetch(event.request))
         );
         return;
     }
@@ -86,3 +133,22 @@ self.addEventListener('fetch', (event) => {
             })
     );
 });
+
+// Notification Click - Open the store from an "ice cream radar" alert
+// An open page is focused and told which store to show; otherwise the store's link is opened
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { storeId, url } = event.notification.data || {};
+    if (!storeId) return;
+
+    event.waitUntil(
+        clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+            const client = windowClients[0];
+            if (client) {
+                client.postMessage({ type: 'OPEN_STORE', storeId });
+                return client.focus();
+            }
+            return clients.openWindow(url);
+        })
+    );
+});
@@ -30,6 +30,148 @@ export const CONFIG = {
         RED_STRIPED: 'red-striped',
         DEFAULT: 'blue'
     },
+    // Store categories in legend order; IDs match the markerColor values in stores.json
+    // LABEL_KEY entries here and below refer to messages in src/js/locales
+    // RANK orders categories from least to most sought-after (used when stores share a marker)
+    CATEGORIES: [
+        { ID: 'blue', LABEL_KEY: 'CATEGORY_BLUE', CLASS_NAME: 'marker-blue', RANK: 0 },
+        { ID: 'red', LABEL_KEY: 'CATEGORY_RED', CLASS_NAME: 'marker-red', RANK: 2 },
+        { ID: 'blue-striped', LABEL_KEY: 'CATEGORY_BLUE_STRIPED', CLASS_NAME: 'marker-blue-striped', RANK: 1 },
+        { ID: 'red-striped', LABEL_KEY: 'CATEGORY_RED_STRIPED', CLASS_NAME: 'marker-red-striped', RANK: 3 }
+    ],
+    COLOCATION_RADIUS: 5, // meters; stores closer than this share one marker
+    FILTER_PRESETS: [
+        { ID: 'all', LABEL_KEY: 'PRESET_ALL', CATEGORIES: ['blue', 'red', 'blue-striped', 'red-striped'] },
+        { ID: 'dual', LABEL_KEY: 'PRESET_DUAL', CATEGORIES: ['red', 'red-striped'] },
+        { ID: 'shape', LABEL_KEY: 'PRESET_SHAPE', CATEGORIES: ['blue-striped', 'red-striped'] }
+    ],
+    SEARCH: {
+        DEBOUNCE: 200, // ms to wait after typing before querying the worker
+        MAX_RESULTS: 20,
+        FOCUS_ZOOM: 17
+    },
+    NEARBY: {
+        LIMIT: 10
+    },
+    LOCATE: {
+        ZOOM: 15, // Zoom used when centering on the user
+        // Locate button modes, cycled in this order
+        MODES: { OFF: 'off', SHOW: 'show', FOLLOW: 'follow' }
+    },
+    // Simulated locations for demos and desktop testing, picked with ?location=... or the debug panel (?debug)
+    POSITION_PROVIDERS: {
+        TYPES: { GPS: 'gps', FIXED: 'fixed', REPLAY: 'replay' },
+        QUERY_PARAMS: { PROVIDER: 'location', AT: 'at', TRACK: 'track', SPEED: 'speed', DEBUG: 'debug' },
+        SIMULATED_ACCURACY: 10, // meters reported by fixed and replayed positions
+        REPLAY_SPEEDS: [1, 2, 5, 10, 30], // playback factors offered in the debug panel
+        REPLAY_WALKING_SPEED: 1.4, // m/s used for tracks without recorded times
+        REPLAY_TICK_MS: 1000
+    },
+    PLACES: {
+        NAME_MAX_LENGTH: 30
+    },
+    // "Ice cream radar" proximity alerts
+    RADAR: {
+        DEFAULT_CATEGORIES: ['red', 'blue-striped', 'red-striped'], // Dual-flavor and special-shape stores
+        RADII: [100, 200, 500, 1000], // meters offered in the settings
+        DEFAULT_RADIUS: 200,
+        DEFAULT_QUIET_START: '22:00',
+        DEFAULT_QUIET_END: '07:00',
+        CANDIDATES: 5 // Nearest stores checked per position update
+    },
+    DISPLAY_MODE_PINS: 'pins', // Display mode ID for pins and clusters; the others are HEATMAP.MODES
+    // Density display; past MAX_ZOOM the map switches back to pins
+    HEATMAP: {
+        MAX_ZOOM: 13,
+        RADIUS: 18, // px
+        BLUR: 14, // px
+        INTENSITY: 0.25, // Opacity added by a store of weight 1
+        GRADIENT: { 0.2: '#36c5f0', 0.45: '#7bd88f', 0.7: '#ffd166', 0.9: '#f13f83', 1: '#a8175a' },
+        // Selectable weightings; categories left out do not count
+        MODES: [
+            { ID: 'all', LABEL_KEY: 'HEATMAP_ALL', WEIGHTS: { 'blue': 1, 'red': 1, 'blue-striped': 1, 'red-striped': 1 } },
+            { ID: 'dual', LABEL_KEY: 'HEATMAP_DUAL', WEIGHTS: { 'red': 1, 'red-striped': 1 } },
+            { ID: 'shape', LABEL_KEY: 'HEATMAP_SHAPE', WEIGHTS: { 'blue-striped': 1, 'red-striped': 1 } },
+            // Follows the category RANK, so the rarest treats stand out
+            { ID: 'rarity', LABEL_KEY: 'HEATMAP_RARITY', WEIGHTS: { 'blue': 0.25, 'blue-striped': 0.5, 'red': 0.75, 'red-striped': 1 } }
+        ]
+    },
+    STATS: {
+        DUAL_FLAVOR_CATEGORIES: ['red', 'red-striped'],
+        SPECIAL_SHAPE_CATEGORIES: ['blue-striped', 'red-striped'],
+        TOP_DISTRICTS: 10 // Length of the dual-flavor district ranking
+    },
+    EXPORT: {
+        FILE_NAME: 'family-icecream-stores', // Date and extension are appended
+        FORMATS: [
+            { ID: 'geojson', LABEL: 'GeoJSON', EXTENSION: 'geojson', MIME_TYPE: 'application/geo+json' },
+            { ID: 'kml', LABEL: 'KML', EXTENSION: 'kml', MIME_TYPE: 'application/vnd.google-earth.kml+xml' },
+            { ID: 'gpx', LABEL: 'GPX', EXTENSION: 'gpx', MIME_TYPE: 'application/gpx+xml' },
+            { ID: 'csv', LABEL: 'CSV', EXTENSION: 'csv', MIME_TYPE: 'text/csv' }
+        ]
+    },
+    REGION: {
+        FIT_MAX_ZOOM: 15, // Keeps a region with a single store from zooming all the way in
+        FIT_PADDING: [20, 20] // px
+    },
+    OFFLINE_TILES: {
+        CACHE_NAME: 'family-icecream-map-tiles', // Must match TILE_CACHE_NAME in service-worker.js
+        MAX_ZOOM: 17, // Deepest zoom offered for download
+        MAX_TILES: 3000, // Per area, to keep downloads within browser storage quotas
+        CONCURRENCY: 4,
+        AVERAGE_TILE_BYTES: 15000, // Used for the size estimate before downloading
+        AVERAGE_RETINA_TILE_BYTES: 40000
+    },
+    // Navigation links in the store details; {lat} / {lng} are the store coordinates
+    NAVIGATION_PROVIDERS: [
+        { ID: 'google', LABEL_KEY: 'NAVIGATION_GOOGLE', URL: 'https://www.google.com/maps/dir/?api=1&destination={lat},{lng}' },
+        { ID: 'apple', LABEL_KEY: 'NAVIGATION_APPLE', URL: 'https://maps.apple.com/?daddr={lat},{lng}' },
+        { ID: 'osm', LABEL_KEY: 'NAVIGATION_OSM', URL: 'https://www.openstreetmap.org/directions?to={lat}%2C{lng}' }
+    ],
+    // Keys used in the shareable URL hash
+    URL_PARAMS: {
+        MAP: 'map',
+        STORE: 'store',
+        CATEGORIES: 'cat',
+        QUERY: 'q'
+    },
+    URL_SYNC_DELAY: 300, // ms to debounce URL updates while panning
+    FAVORITES: {
+        NOTE_MAX_LENGTH: 100
+    },
+    // Clustering runs in the store worker; at zooms past MAX_ZOOM every location has its own marker
+    CLUSTER: {
+        RADIUS: 60, // Screen pixels
+        MIN_ZOOM: 0,
+        MAX_ZOOM: 16,
+        BOUNDS_PADDING: 0.5 // Fraction of the view loaded around it, so short pans need no new markers
+    },
+    DATABASE: {
+        NAME: 'family-icecream-map',
+        VERSION: 4,
+        STORES: {
+            FAVORITES: 'favorites',
+            SNAPSHOTS: 'snapshots',
+            OFFLINE_AREAS: 'offlineAreas',
+            DATASETS: 'datasets'
+        }
+    },
+    STORAGE_KEYS: {
+        FILTER: 'family-icecream-map:filter',
+        DISPLAY_MODE: 'family-icecream-map:display-mode',
+        RADAR: 'family-icecream-map:radar',
+        PLACES: 'family-icecream-map:places',
+        LOCALE: 'family-icecream-map:locale'
+    },
+    I18N: {
+        DEFAULT_LOCALE: 'zh-TW',
+        // Labels are shown in their own language so everyone can find theirs
+        LOCALES: [
+            { ID: 'zh-TW', LABEL: '繁體中文' },
+            { ID: 'en', LABEL: 'English' },
+            { ID: 'ja', LABEL: '日本語' }
+        ]
+    },
     COLORS: {
         BLUE: '#2b82cb',
         RED: '#e04e39'
@@ -38,7 +180,14 @@ export const CONFIG = {
         LOADING_OVERLAY_ID: 'loading-overlay',
         TOAST_CONTAINER_ID: 'toast-container',
         LAST_UPDATED_ID: 'last-updated',
+        DATA_REPORT_ID: 'data-report',
         TOAST_TIMEOUT: 3000,
+        SEARCH_CONTROL_ID: 'store-search',
+        LANGUAGE_CONTROL_ID: 'language-switcher',
+        STORE_SHEET_ID: 'store-sheet',
+        STATS_DASHBOARD_ID: 'stats-dashboard',
+        SHEET_MEDIA_QUERY: '(max-width: 600px)', // Screens that get a bottom sheet instead of a popup
+        SHEET_SWIPE_DISTANCE: 60, // px the sheet handle must be dragged down to close
         CSS_CLASSES: {
             POPUP_FLAVOR: 'store-popup-flavor',
             POPUP_FLAVOR_MULTILINE: 'store-popup-flavor--multiline',
@@ -46,16 +195,15 @@ export const CONFIG = {
             TOAST: 'toast',
             TOAST_SHOW: 'show',
             TOAST_ERROR: 'error',
-            LOADING_HIDDEN: 'hidden'
+            TOAST_ACTION: 'toast-action',
+            LOADING_HIDDEN: 'hidden',
+            LEGEND_PRESET_ACTIVE: 'active',
+            SEARCH_RESULT_ACTIVE: 'active',
+            SEARCH_OPEN: 'open',
+            PANEL_OPEN: 'open',
+            FAVORITE_ACTIVE: 'active',
+            SHEET_OPEN: 'open',
+            STATS_OPEN: 'open'
         }
-    },
-    MESSAGES: {
-        LOCATION_NOT_SUPPORTED: '您的瀏覽器不支援地理位置功能',
-        LOCATION_DENIED: '請允許存取位置資訊以顯示您附近的店舖。\n若您先前已拒絕，請檢查瀏覽器網址列或設定中的權限設定。',
-        LOCATION_UNAVAILABLE: '無法偵測到您的目前位置，請確認您的裝置已開啟 GPS 或連上網路。',
-        LOCATION_TIMEOUT: '取得位置資訊逾時，請稍後再試。',
-        LOCATION_UNKNOWN_ERROR: '無法取得您的位置。',
-        USER_LOCATION_POPUP: '您的目前位置',
-        FETCH_ERROR: '暫時無法取得店舖資料，請檢查網路連線。'
     }
 };
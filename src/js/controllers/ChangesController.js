@@ -0,0 +1,70 @@
+import { StoreService } from '../services/StoreService.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+
+/**
+ * Shows what changed in the dataset since the user's last visit
+ * and highlights new or changed stores until the summary is dismissed
+ */
+export class ChangesController {
+    constructor(mapController) {
+        this.mapController = mapController;
+        this.control = null;
+    }
+
+    /**
+     * Displays the summary for a dataset diff
+     * @param {Object|null} diff - From StoreService.fetchStores; null means nothing to report
+     */
+    show(diff) {
+        if (!diff) return;
+
+        // Revalidated data replaces the summary of the cached data
+        if (this.control) {
+            this.control.remove();
+            this.control = null;
+        }
+
+        const highlights = new Map();
+        diff.added.forEach(id => highlights.set(id, 'added'));
+        ['upgraded', 'downgraded', 'changed'].forEach(kind => {
+            diff[kind].forEach(change => highlights.set(change.id, kind));
+        });
+        this.mapController.setHighlights(highlights);
+
+        this.control = L.control({ position: 'topright' });
+        this.control.onAdd = () => {
+            const container = L.DomUtil.create('div', 'changes-summary leaflet-control');
+            container.innerHTML = UIHelpers.createChangesSummaryContent(diff, id => this.mapController.getStore(id));
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.addEventListener('click', (e) => {
+                if (e.target.closest('[data-action="dismiss"]')) {
+                    this.dismiss();
+                    return;
+                }
+                const item = e.target.closest('[data-store-id]');
+                if (item) {
+                    this.mapController.focusStore(item.dataset.storeId);
+                }
+            });
+
+            return container;
+        };
+        this.control.addTo(this.mapController.map);
+    }
+
+    /**
+     * Hides the summary and makes the current dataset the new baseline
+     */
+    dismiss() {
+        if (this.control) {
+            this.control.remove();
+            this.control = null;
+        }
+        this.mapController.setHighlights(new Map());
+        StoreService.acknowledgeDataset()
+            .catch(error => console.warn('Failed to save dataset snapshot:', error));
+    }
+}
@@ -0,0 +1,115 @@
+import { CONFIG } from '../config.js';
+import { UrlStateService } from '../services/UrlStateService.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Keeps the URL in sync with the map view, open store, filter and search
+ * and provides the "share" action for the resulting link
+ */
+export class DeepLinkController {
+    constructor(mapController, filterService, searchController, notificationService) {
+        this.mapController = mapController;
+        this.filterService = filterService;
+        this.searchController = searchController;
+        this.notificationService = notificationService;
+        this.syncTimer = null;
+    }
+
+    /**
+     * Starts mirroring state changes into the URL and adds the share button
+     * Call after the initial state has been restored so it is not overwritten
+     */
+    init() {
+        const scheduleSync = () => this._scheduleSync();
+        this.mapController.on('viewchange', scheduleSync);
+        this.mapController.on('storeopen', scheduleSync);
+        this.mapController.on('storeclose', scheduleSync);
+        this.filterService.on('change', scheduleSync);
+        this.searchController.on('querychange', scheduleSync);
+
+        this._addShareControl();
+        this._sync();
+    }
+
+    /**
+     * Shares the current link via the Web Share API, or copies it as a fallback
+     */
+    async share() {
+        this._sync();
+        await this._shareLink({ title: document.title, url: window.location.href });
+    }
+
+    /**
+     * Shares a link that opens one store, independent of the current view and filter
+     * @param {Object} store
+     */
+    async shareStore(store) {
+        const hash = UrlStateService.toHash({
+            view: { center: [store.latitude, store.longitude], zoom: CONFIG.SEARCH.FOCUS_ZOOM },
+            storeId: store.id
+        });
+        const url = window.location.origin + window.location.pathname + window.location.search + hash;
+        await this._shareLink({ title: store.name, text: store.address, url });
+    }
+
+    /**
+     * @param {{title: string, text: (string|undefined), url: string}} data
+     */
+    async _shareLink(data) {
+        if (navigator.share) {
+            try {
+                await navigator.share(data);
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return; // User closed the share sheet
+                console.warn('Web Share failed, falling back to clipboard:', error);
+            }
+        }
+
+        try {
+            await navigator.clipboard.writeText(data.url);
+            this.notificationService.show(I18nService.t('SHARE_LINK_COPIED'), 'info');
+        } catch (error) {
+            console.warn('Copying link failed:', error);
+            this.notificationService.show(I18nService.t('SHARE_FAILED'), 'error');
+        }
+    }
+
+    _addShareControl() {
+        const shareControl = L.control({ position: 'topleft' });
+
+        shareControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'leaflet-control-share leaflet-bar leaflet-control');
+            container.title = I18nService.t('SHARE_TITLE');
+            container.setAttribute('role', 'button');
+            L.DomUtil.create('div', 'leaflet-control-share-icon', container);
+
+            L.DomEvent.disableClickPropagation(container);
+            container.onclick = (e) => {
+                e.preventDefault();
+                this.share();
+            };
+            return container;
+        };
+
+        shareControl.addTo(this.mapController.map);
+    }
+
+    _scheduleSync() {
+        // Panning fires many moveend events; write the URL once things settle
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this._sync(), CONFIG.URL_SYNC_DELAY);
+    }
+
+    _sync() {
+        clearTimeout(this.syncTimer);
+        const openStore = this.mapController.openStore;
+
+        UrlStateService.write({
+            view: this.mapController.getView(),
+            storeId: openStore ? openStore.id : null,
+            categories: this.filterService.state.categories,
+            query: this.searchController.query
+        });
+    }
+}
@@ -0,0 +1,114 @@
+import { CONFIG } from '../config.js';
+import { StoreService } from '../services/StoreService.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls the export menu: downloads the filtered stores, or those in view, as GeoJSON, KML, GPX or CSV
+ * Files are written in the store worker from the normalized stores
+ */
+export class ExportController {
+    constructor(mapController, filterService, notificationService) {
+        this.mapController = mapController;
+        this.filterService = filterService;
+        this.notificationService = notificationService;
+        this.container = null;
+        this.menu = null;
+        this.exportAbort = null; // Drops an export superseded by another one
+    }
+
+    /**
+     * Adds the export button and its menu
+     */
+    init() {
+        const exportControl = L.control({ position: 'topleft' });
+
+        exportControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'leaflet-control-export leaflet-bar leaflet-control');
+            container.innerHTML = UIHelpers.createExportMenuContent();
+            this.container = container;
+            this.menu = container.querySelector('.export-menu');
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.querySelector('.leaflet-control-export-button').addEventListener('click', () => this.toggle());
+            this.menu.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-format]');
+                if (button) this.export(button.dataset.format);
+            });
+            return container;
+        };
+
+        exportControl.addTo(this.mapController.map);
+        this.mapController.map.on('click', () => this.close());
+    }
+
+    toggle() {
+        const isOpen = this.container.classList.toggle(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+        this.container.querySelector('.leaflet-control-export-button').setAttribute('aria-expanded', String(isOpen));
+    }
+
+    close() {
+        if (!this.container) return;
+        this.container.classList.remove(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+        this.container.querySelector('.leaflet-control-export-button').setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Writes the chosen stores in a format and offers the file as a download
+     * @param {string} formatId - A CONFIG.EXPORT.FORMATS ID
+     */
+    async export(formatId) {
+        const format = CONFIG.EXPORT.FORMATS.find(candidate => candidate.ID === formatId);
+        if (!format) return;
+
+        const isViewOnly = this.menu.querySelector('[data-field="scope"]:checked').value === 'view';
+        const bounds = this.mapController.map.getBounds();
+        const labels = Object.fromEntries(CONFIG.CATEGORIES.map(category => [category.ID, I18nService.t(category.LABEL_KEY)]));
+
+        if (this.exportAbort) this.exportAbort.abort();
+        this.exportAbort = new AbortController();
+
+        try {
+            const { content, count } = await StoreService.exportStores(this.filterService.criteria, {
+                format: format.ID,
+                bounds: isViewOnly ? {
+                    north: bounds.getNorth(),
+                    south: bounds.getSouth(),
+                    east: bounds.getEast(),
+                    west: bounds.getWest()
+                } : null,
+                title: I18nService.t('EXPORT_DOCUMENT_TITLE'),
+                labels,
+                signal: this.exportAbort.signal
+            });
+
+            if (count === 0) {
+                this.notificationService.show(I18nService.t('EXPORT_EMPTY'), 'error');
+                return;
+            }
+
+            const date = new Date().toISOString().slice(0, 10);
+            this._download(content, `${CONFIG.EXPORT.FILE_NAME}-${date}.${format.EXTENSION}`, format.MIME_TYPE);
+            this.notificationService.show(I18nService.t('EXPORT_DONE', { count, format: format.LABEL }), 'info');
+            this.close();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('Export failed:', error);
+            this.notificationService.show(I18nService.t('EXPORT_FAILED'), 'error');
+        }
+    }
+
+    _download(content, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoked once the browser has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
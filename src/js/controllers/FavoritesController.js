@@ -0,0 +1,124 @@
+import { CONFIG } from '../config.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls starring, notes and the "my favorites" panel
+ * Persistence lives in FavoritesService; this class wires it to popups and the list
+ */
+export class FavoritesController {
+    constructor(mapController, favoritesService, notificationService) {
+        this.mapController = mapController;
+        this.favoritesService = favoritesService;
+        this.notificationService = notificationService;
+        this.container = null;
+        this.list = null;
+        this.notifiedMissingIds = new Set(); // Already warned about, since cached and revalidated loads both reconcile
+    }
+
+    /**
+     * Adds the favorites panel and hooks popup actions
+     */
+    init() {
+        const favoritesControl = L.control({ position: 'bottomleft' });
+
+        favoritesControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'list-panel favorites-panel leaflet-control');
+            container.innerHTML = `
+                <button type="button" class="list-panel-toggle" aria-expanded="false">
+                    ★ ${UIHelpers.escapeHtml(I18nService.t('FAVORITES_TITLE'))}
+                </button>
+                <ul class="list-panel-list"></ul>
+            `;
+            this.container = container;
+            this.list = container.querySelector('.list-panel-list');
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.querySelector('.list-panel-toggle').addEventListener('click', () => this.toggle());
+            this.list.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('[data-remove-id]');
+                if (removeButton) {
+                    this.favoritesService.remove(removeButton.dataset.removeId);
+                    return;
+                }
+                const item = e.target.closest('[data-store-id]');
+                if (item) {
+                    this.mapController.focusStore(item.dataset.storeId);
+                }
+            });
+
+            return container;
+        };
+
+        favoritesControl.addTo(this.mapController.map);
+
+        this.mapController.on('storeopen', (store, popup) => this._bindPopupActions(store, popup));
+        this.favoritesService.on('change', () => this._render());
+    }
+
+    toggle() {
+        const isOpen = this.container.classList.toggle(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+        this.container.querySelector('.list-panel-toggle').setAttribute('aria-expanded', String(isOpen));
+        this._render();
+    }
+
+    /**
+     * Compares favorites with a freshly loaded dataset and warns about newly vanished stores
+     * @param {Array} stores
+     */
+    reconcile(stores) {
+        const missing = this.favoritesService.reconcile(stores)
+            .filter(record => !this.notifiedMissingIds.has(record.storeId));
+        missing.forEach(record => this.notifiedMissingIds.add(record.storeId));
+        if (missing.length > 0) {
+            this.notificationService.show(
+                I18nService.t('FAVORITES_MISSING', { count: missing.length }),
+                'error'
+            );
+        }
+    }
+
+    /**
+     * Delegates star / note events from a store popup
+     * The popup (or bottom sheet) element is reused across opens, so handlers are attached only once;
+     * the target store is resolved per event since shared markers list several stores
+     * @param {Object} store
+     * @param {L.Popup} popup
+     */
+    _bindPopupActions(store, popup) {
+        const element = popup && popup.getElement();
+        if (!element || element.dataset.favoritesBound) return;
+        element.dataset.favoritesBound = 'true';
+
+        const storeFor = (target) => {
+            const section = target.closest('[data-popup-store-id]');
+            return section ? this.mapController.getStore(section.dataset.popupStoreId) : null;
+        };
+
+        element.addEventListener('click', (e) => {
+            const target = storeFor(e.target);
+            if (target && e.target.closest('[data-action="toggle-favorite"]')) {
+                this.favoritesService.toggleFavorite(target);
+            }
+        });
+
+        element.addEventListener('change', (e) => {
+            const target = storeFor(e.target);
+            if (target && e.target.dataset.action === 'note') {
+                this.favoritesService.setNote(target, e.target.value)
+                    .then(() => this.notificationService.show(I18nService.t('FAVORITE_NOTE_SAVED'), 'info'));
+            }
+        });
+    }
+
+    _render() {
+        if (!this.list || !this.container.classList.contains(CONFIG.UI.CSS_CLASSES.PANEL_OPEN)) return;
+
+        this.list.innerHTML = UIHelpers.createFavoritesListContent(
+            this.favoritesService.getAll(),
+            storeId => this.favoritesService.isMissing(storeId)
+        );
+    }
+}
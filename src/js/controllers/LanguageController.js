@@ -0,0 +1,38 @@
+import { CONFIG } from '../config.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls the language switcher
+ * Switching saves the choice and reloads; the URL hash keeps the current view and store
+ */
+export class LanguageController {
+    constructor(mapController) {
+        this.mapController = mapController;
+    }
+
+    init() {
+        const languageControl = L.control({ position: 'topleft' });
+
+        languageControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'language-switcher leaflet-bar leaflet-control');
+            container.id = CONFIG.UI.LANGUAGE_CONTROL_ID;
+
+            const options = CONFIG.I18N.LOCALES.map(locale => `
+                <option value="${locale.ID}"${locale.ID === I18nService.locale ? ' selected' : ''}>${UIHelpers.escapeHtml(locale.LABEL)}</option>
+            `).join('');
+            container.innerHTML = `
+                <select aria-label="${UIHelpers.escapeHtml(I18nService.t('LANGUAGE_LABEL'))}">${options}</select>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            container.querySelector('select').addEventListener('change', (e) => {
+                I18nService.setLocale(e.target.value);
+                window.location.reload();
+            });
+            return container;
+        };
+
+        languageControl.addTo(this.mapController.map);
+    }
+}
@@ -0,0 +1,181 @@
+import { CONFIG } from '../config.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { TrackParser } from '../helpers/TrackParser.js';
+import { I18nService } from '../services/I18nService.js';
+import { GpsPositionProvider } from '../services/GpsPositionProvider.js';
+import { FixedPositionProvider } from '../services/FixedPositionProvider.js';
+import { TrackReplayPositionProvider } from '../services/TrackReplayPositionProvider.js';
+
+const { TYPES } = CONFIG.POSITION_PROVIDERS;
+
+/**
+ * Controls where positions come from, so location features can be demoed and tested at a desk
+ * Picked with URL flags (see UrlStateService.readPositionFlags) or the debug panel, shown with ?debug
+ */
+export class LocationDebugController {
+    constructor(mapController, locationService, notificationService) {
+        this.mapController = mapController;
+        this.locationService = locationService;
+        this.notificationService = notificationService;
+        this.type = TYPES.GPS;
+        this.speed = 1;
+        this.container = null;
+        this.form = null;
+    }
+
+    /**
+     * Applies the provider from the URL flags and adds the panel when asked for
+     * Call before the first locate so it already uses the chosen provider
+     * @param {Object} flags - From UrlStateService.readPositionFlags
+     */
+    async init(flags) {
+        this.speed = flags.speed;
+
+        if (flags.provider === TYPES.FIXED) {
+            const [latitude, longitude] = flags.at || CONFIG.DEFAULT_CENTER;
+            this._use(TYPES.FIXED, new FixedPositionProvider(latitude, longitude));
+        } else if (flags.provider === TYPES.REPLAY && flags.track) {
+            await this._loadTrackUrl(flags.track);
+        }
+
+        if (flags.debug || flags.provider) {
+            this._addPanel(flags.provider || this.type);
+        }
+    }
+
+    /**
+     * @returns {boolean} True when positions are simulated rather than from GPS
+     */
+    get isSimulated() {
+        return this.type !== TYPES.GPS;
+    }
+
+    toggle() {
+        const isOpen = this.container.classList.toggle(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+        this.container.querySelector('.list-panel-toggle').setAttribute('aria-expanded', String(isOpen));
+    }
+
+    _addPanel(selectedType) {
+        const debugControl = L.control({ position: 'bottomleft' });
+
+        debugControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'list-panel location-debug-panel leaflet-control');
+            const provider = this.locationService.provider;
+            container.innerHTML = UIHelpers.createLocationDebugPanelContent({
+                type: selectedType,
+                speed: this.speed,
+                point: provider instanceof FixedPositionProvider ? [provider.latitude, provider.longitude] : null
+            });
+            this.container = container;
+            this.form = container.querySelector('.location-debug-form');
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.querySelector('.list-panel-toggle').addEventListener('click', () => this.toggle());
+            this.form.addEventListener('change', (e) => this._handleChange(e));
+            this.form.addEventListener('click', (e) => this._handleClick(e));
+            return container;
+        };
+
+        debugControl.addTo(this.mapController.map);
+        this._syncState();
+    }
+
+    async _handleChange(e) {
+        const { field } = e.target.dataset;
+
+        if (field === 'provider') {
+            if (e.target.value === TYPES.GPS) {
+                this._use(TYPES.GPS, new GpsPositionProvider());
+                this.mapController.locateUser(true);
+            } else if (e.target.value === TYPES.FIXED && !this.form.querySelector('[data-field="latitude"]').value) {
+                this._fillMapCenter();
+            }
+        } else if (field === 'track') {
+            const file = e.target.files[0];
+            try {
+                if (file && this._useTrack(await file.text())) {
+                    this.mapController.locateUser(true);
+                }
+            } catch (error) {
+                console.warn('Track could not be read:', error);
+                this.notificationService.show(I18nService.t('LOCATION_DEBUG_TRACK_FAILED'), 'error');
+            }
+        } else if (field === 'speed') {
+            this.speed = Number(e.target.value);
+            if (this.locationService.provider instanceof TrackReplayPositionProvider) {
+                this.locationService.provider.setSpeed(this.speed);
+            }
+        }
+        this._syncState();
+    }
+
+    _handleClick(e) {
+        const action = e.target.closest('[data-action]');
+        if (!action) return;
+
+        if (action.dataset.action === 'use-center') {
+            this._fillMapCenter();
+        } else if (action.dataset.action === 'apply-fixed') {
+            const latitude = parseFloat(this.form.querySelector('[data-field="latitude"]').value);
+            const longitude = parseFloat(this.form.querySelector('[data-field="longitude"]').value);
+            if (!(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+                this.notificationService.show(I18nService.t('LOCATION_DEBUG_INVALID_POINT'), 'error');
+                return;
+            }
+            this._use(TYPES.FIXED, new FixedPositionProvider(latitude, longitude));
+            this.mapController.locateUser(true);
+            this._syncState();
+        }
+    }
+
+    _fillMapCenter() {
+        const center = this.mapController.map.getCenter();
+        this.form.querySelector('[data-field="latitude"]').value = center.lat.toFixed(5);
+        this.form.querySelector('[data-field="longitude"]').value = center.lng.toFixed(5);
+    }
+
+    async _loadTrackUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this._useTrack(await response.text());
+        } catch (error) {
+            console.warn('Track could not be loaded:', error);
+            this.notificationService.show(I18nService.t('LOCATION_DEBUG_TRACK_FAILED'), 'error');
+        }
+    }
+
+    /**
+     * @param {string} text - GPX or GeoJSON
+     * @returns {boolean} False when the track has fewer than two points
+     */
+    _useTrack(text) {
+        const points = TrackParser.parse(text);
+        if (points.length < 2) {
+            this.notificationService.show(I18nService.t('LOCATION_DEBUG_TRACK_INVALID'), 'error');
+            return false;
+        }
+
+        this._use(TYPES.REPLAY, new TrackReplayPositionProvider(points, this.speed));
+        return true;
+    }
+
+    _use(type, provider) {
+        this.type = type;
+        this.locationService.setProvider(provider);
+    }
+
+    // Shows the fields for the chosen provider and marks the panel while positions are simulated
+    _syncState() {
+        if (!this.container) return;
+        const selectedType = this.form.querySelector('[data-field="provider"]').value;
+        this.form.querySelectorAll('[data-provider]').forEach(section => {
+            section.hidden = section.dataset.provider !== selectedType;
+        });
+        this.container.classList.toggle('is-active', this.isSimulated);
+    }
+}
@@ -1,36 +1,92 @@
 import { CONFIG } from '../config.js';
 import { LocationService } from '../services/LocationService.js';
 import { UIHelpers } from '../helpers/UIHelpers.js';
+import { EventEmitter } from '../helpers/EventEmitter.js';
+import { GeoUtils } from '../helpers/GeoUtils.js';
+import { HeatmapLayer } from '../helpers/HeatmapLayer.js';
+import { StoreSheetController } from './StoreSheetController.js';
+import { I18nService } from '../services/I18nService.js';
+import { StoreService } from '../services/StoreService.js';
+import { StorageService } from '../services/StorageService.js';
 
 /**
  * Manages Map interactions and layers
  * Follows Single Responsibility Principle: Map Management
+ * Stores are drawn as pins and clusters, or as a density heatmap up to CONFIG.HEATMAP.MAX_ZOOM;
+ * both show the same filtered stores
+ * Emits 'viewchange' after the map moves, and 'storeopen' / 'storeclose' with the store whose details toggled
+ * 'storeopen' also passes the popup, or the bottom sheet on small screens; both expose getElement()
  */
-export class MapController {
-    constructor(mapId, notificationService, locationService) {
+export class MapController extends EventEmitter {
+    constructor(mapId, notificationService, locationService, filterService, favoritesService) {
+        super();
         this.mapId = mapId;
         this.notificationService = notificationService;
         this.locationService = locationService;
+        this.filterService = filterService;
+        this.favoritesService = favoritesService;
         this.map = null;
-        this.markersLayer = null; // Cluster group layer
-        this.icons = {};
+        this.markersLayer = null; // Holds only the markers drawn for the current view
+        this.markers = new Map(); // Drawn markers by feature key ('cluster:<id>' / 'point:<locationId>')
+        this.storesById = new Map();
+        this.markersByStoreId = new Map(); // Drawn locations only; co-located stores map to the same marker
+        this.clusterAbort = null; // Cancels a cluster query the map has moved past
+        this.clusterRefresh = Promise.resolve(); // Settles once the latest view's markers are drawn
+        this.displayMode = this._loadDisplayMode(); // CONFIG.DISPLAY_MODE_PINS or a CONFIG.HEATMAP.MODES ID
+        this.heatmapLayer = null;
+        this.heatmapPoints = null; // Weighted points for the current filter and mode, once loaded
+        this.heatmapAbort = null;
+        this.openStore = null; // Store whose popup is currently open
+        this.openMarker = null;
+        this.sheet = new StoreSheetController(); // Replaces popups on small screens
+        this.legendElement = null;
+        this.icons = {}; // Cached per color + modifier combination
+        this.highlights = new Map(); // storeId -> change kind from the dataset diff
+        this.shownFavoriteIds = new Set(); // Favorites whose markers currently carry the star icon
         this.userMarker = null;
+        this.accuracyCircle = null;
         this.locateButton = null;
+        this.locateMode = CONFIG.LOCATE.MODES.OFF;
+        this.isWatchPaused = false; // GPS stopped because the page was hidden; restarts when it is shown
         this.lastErrorTime = 0; // Throttle timestamp for location errors
     }
 
     /**
      * Initialize the map application
+     * @param {{center: Array<number>, zoom: number}|null} initialView - Restored view, e.g. from a shared link
      */
-    init() {
-        this._initMap();
+    init(initialView = null) {
+        this._initMap(initialView);
         this._initIcons();
         this._initMarkersLayer();
         this._addControls();
+        this.sheet.init();
+        this._initVisibilityHandling();
+
+        this.filterService.on('change', () => {
+            this._syncLegend();
+            // The worker rebuilds its cluster index for the new filter
+            this.heatmapPoints = null;
+            this._refreshMarkers();
+        });
+
+        this.favoritesService.on('change', (favoriteIds) => this._refreshFavorites(favoriteIds));
     }
 
-    _initMap() {
-        this.map = L.map(this.mapId).setView(CONFIG.DEFAULT_CENTER, CONFIG.DEFAULT_ZOOM);
+    _initMap(initialView) {
+        const view = initialView || { center: CONFIG.DEFAULT_CENTER, zoom: CONFIG.DEFAULT_ZOOM };
+        this.map = L.map(this.mapId).setView(view.center, view.zoom);
+        this.map.on('moveend', () => {
+            this._refreshMarkers();
+            this.emit('viewchange', this.getView());
+        });
+        this.map.on('click', () => this.sheet.close());
+        // Panning by hand ends follow mode; the marker keeps updating
+        this.map.on('dragstart', () => {
+            if (this.locateMode === CONFIG.LOCATE.MODES.FOLLOW) {
+                this._setLocateMode(CONFIG.LOCATE.MODES.SHOW);
+            }
+        });
         
         L.tileLayer(CONFIG.TILE_LAYER.URL, {
             attribution: CONFIG.TILE_LAYER.ATTRIBUTION,
@@ -40,49 +96,96 @@ export class MapController {
     }
 
     _initMarkersLayer() {
-        this.markersLayer = L.markerClusterGroup({
-            chunkedLoading: true,
-            showCoverageOnHover: false,
-            zoomToBoundsOnClick: true,
-            spiderfyOnMaxZoom: true,
-            removeOutsideVisibleBounds: true,
-            maxClusterRadius: 60,
-            iconCreateFunction: function(cluster) {
-                const markers = cluster.getAllChildMarkers();
-                let redCount = 0;
-                
-                markers.forEach(marker => {
-                    // Check directly from our custom option
-                    if (marker.options.markerColor && marker.options.markerColor.includes('red')) {
-                        redCount++;
-                    }
-                });
-
-                // Determine majority color
-                let colorClass;
-                if (redCount === markers.length / 2) {
-                    colorClass = 'marker-cluster-split';
-                } else if (redCount > markers.length / 2) {
-                    colorClass = 'marker-cluster-red';
-                } else {
-                    colorClass = 'marker-cluster-blue';
-                }
-
-                return L.divIcon({ 
-                    html: '<div><span>' + cluster.getChildCount() + '</span></div>', 
-                    className: 'marker-cluster ' + colorClass, 
-                    iconSize: new L.Point(40, 40) 
-                });
-            }
-        });
+        // Clustering happens in the store worker; this layer only receives the result for the view
+        this.markersLayer = L.layerGroup();
         this.map.addLayer(this.markersLayer);
+        this.heatmapLayer = new HeatmapLayer({
+            radius: CONFIG.HEATMAP.RADIUS,
+            blur: CONFIG.HEATMAP.BLUR,
+            intensity: CONFIG.HEATMAP.INTENSITY,
+            gradient: CONFIG.HEATMAP.GRADIENT
+        });
+    }
+
+    _loadDisplayMode() {
+        const saved = StorageService.get(CONFIG.STORAGE_KEYS.DISPLAY_MODE);
+        return CONFIG.HEATMAP.MODES.some(mode => mode.ID === saved) ? saved : CONFIG.DISPLAY_MODE_PINS;
+    }
+
+    /**
+     * Switches between pins and a density heatmap; the choice is remembered
+     * @param {string} modeId - CONFIG.DISPLAY_MODE_PINS or a CONFIG.HEATMAP.MODES ID
+     */
+    setDisplayMode(modeId) {
+        const isKnown = modeId === CONFIG.DISPLAY_MODE_PINS || CONFIG.HEATMAP.MODES.some(mode => mode.ID === modeId);
+        if (!isKnown || modeId === this.displayMode) return;
+
+        this.displayMode = modeId;
+        this.heatmapPoints = null;
+        StorageService.set(CONFIG.STORAGE_KEYS.DISPLAY_MODE, modeId);
+        this._syncLegend();
+        this._refreshMarkers();
+    }
+
+    /**
+     * @returns {boolean} True when the view is zoomed out far enough for the chosen heatmap
+     */
+    _isHeatmapShown() {
+        return this.displayMode !== CONFIG.DISPLAY_MODE_PINS && this.map.getZoom() <= CONFIG.HEATMAP.MAX_ZOOM;
     }
 
     _initIcons() {
-        this.icons[CONFIG.MARKERS.BLUE] = UIHelpers.createPinIcon('marker-blue');
-        this.icons[CONFIG.MARKERS.RED] = UIHelpers.createPinIcon('marker-red');
-        this.icons[CONFIG.MARKERS.BLUE_STRIPED] = UIHelpers.createPinIcon('marker-blue-striped');
-        this.icons[CONFIG.MARKERS.RED_STRIPED] = UIHelpers.createPinIcon('marker-red-striped');
+        CONFIG.CATEGORIES.forEach(category => {
+            this.icons[category.ID] = UIHelpers.createPinIcon(category.CLASS_NAME);
+        });
+    }
+
+    /**
+     * Picks the icon for a marker from its representative store,
+     * adding star / change / store-count badges as needed
+     * @param {L.Marker} marker 
+     * @returns {L.DivIcon}
+     */
+    _getIcon(marker) {
+        const { stores, store } = marker.options;
+        const category = UIHelpers.getCategory(store.markerColor);
+        const modifiers = [];
+        if (stores.some(s => this.favoritesService.isFavorite(s.id))) {
+            modifiers.push('pin-favorite');
+        }
+        const highlighted = stores.find(s => this.highlights.has(s.id));
+        if (highlighted) {
+            modifiers.push(`pin-changed pin-changed--${this.highlights.get(highlighted.id)}`);
+        }
+
+        const key = [category.ID, stores.length, ...modifiers].join(' ');
+        if (!this.icons[key]) {
+            this.icons[key] = UIHelpers.createPinIcon(category.CLASS_NAME, modifiers, stores.length);
+        }
+        return this.icons[key];
+    }
+
+    /**
+     * Re-renders the icons of the markers holding the given stores
+     * @param {Iterable<string>} storeIds 
+     */
+    _refreshIcons(storeIds) {
+        const markers = new Set();
+        for (const id of storeIds) {
+            const marker = this.markersByStoreId.get(id);
+            if (marker) markers.add(marker);
+        }
+        markers.forEach(marker => marker.setIcon(this._getIcon(marker)));
+    }
+
+    /**
+     * Marks stores that are new or changed since the user's last visit
+     * @param {Map<string, string>} highlights - storeId -> 'added' | 'upgraded' | 'downgraded' | 'changed'
+     */
+    setHighlights(highlights) {
+        const affectedIds = new Set([...this.highlights.keys(), ...highlights.keys()]);
+        this.highlights = new Map(highlights);
+        this._refreshIcons(affectedIds);
     }
 
     _addControls() {
@@ -95,17 +198,87 @@ export class MapController {
         legend.onAdd = () => {
             const div = L.DomUtil.create('div', 'legend');
             div.innerHTML = UIHelpers.createLegendContent();
+            this.legendElement = div;
+
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+
+            L.DomEvent.on(div, 'change', (e) => {
+                const categoryId = e.target.dataset.category;
+                if (categoryId) {
+                    this.filterService.toggleCategory(categoryId);
+                } else if (e.target.dataset.filter === 'favorites-only') {
+                    this.filterService.setFavoritesOnly(e.target.checked);
+                } else if (e.target.dataset.field === 'display-mode') {
+                    this.setDisplayMode(e.target.value);
+                }
+            });
+
+            L.DomEvent.on(div, 'click', (e) => {
+                const presetButton = e.target.closest('[data-preset]');
+                if (presetButton) {
+                    this.filterService.applyPreset(presetButton.dataset.preset);
+                }
+            });
+
+            this._syncLegend();
             return div;
         };
         legend.addTo(this.map);
     }
 
+    /**
+     * Reflects the filter state in the legend checkboxes and preset buttons
+     */
+    _syncLegend() {
+        if (!this.legendElement) return;
+
+        this.legendElement.querySelectorAll('input[data-category]').forEach(input => {
+            input.checked = this.filterService.isCategoryVisible(input.dataset.category);
+        });
+
+        const favoritesOnlyInput = this.legendElement.querySelector('[data-filter="favorites-only"]');
+        if (favoritesOnlyInput) {
+            favoritesOnlyInput.checked = this.filterService.state.favoritesOnly;
+        }
+
+        const displayModeSelect = this.legendElement.querySelector('[data-field="display-mode"]');
+        if (displayModeSelect) {
+            displayModeSelect.value = this.displayMode;
+        }
+
+        const activePresetId = this.filterService.getActivePresetId();
+        this.legendElement.querySelectorAll('[data-preset]').forEach(button => {
+            button.classList.toggle(
+                CONFIG.UI.CSS_CLASSES.LEGEND_PRESET_ACTIVE,
+                button.dataset.preset === activePresetId
+            );
+        });
+    }
+
+    /**
+     * Shows how many stores exist per category next to each legend entry
+     * @param {Array} stores 
+     */
+    _updateLegendCounts(stores) {
+        if (!this.legendElement) return;
+
+        const counts = {};
+        stores.forEach(store => {
+            counts[store.markerColor] = (counts[store.markerColor] || 0) + 1;
+        });
+
+        this.legendElement.querySelectorAll('[data-count-for]').forEach(el => {
+            el.textContent = counts[el.dataset.countFor] || 0;
+        });
+    }
+
     _addLocateControl() {
         const locateControl = L.control({ position: 'bottomright' });
         
         locateControl.onAdd = () => {
             const container = L.DomUtil.create('div', 'leaflet-control-locate leaflet-bar leaflet-control');
-            container.title = "Show my location";
+            container.title = I18nService.t('LOCATE_TITLE');
             
             // Create inner icon element
             L.DomUtil.create('div', 'leaflet-control-locate-icon', container);
@@ -118,7 +291,7 @@ export class MapController {
                 if (this.locateButton && this.locateButton.classList.contains('loading')) {
                     return;
                 }
-                this.locateUser(true);
+                this.cycleLocateMode();
             };
             return container;
         };
@@ -133,67 +306,458 @@ export class MapController {
     updateLastUpdatedTime(date) {
         const el = document.getElementById(CONFIG.UI.LAST_UPDATED_ID);
         if (el && date) {
-            el.textContent = `資料最後更新時間: ${date}`;
+            el.textContent = I18nService.t('LAST_UPDATED', { date });
         }
     }
 
     /**
-     * Renders store markers on the map
+     * Shows the dataset integrity summary under the last updated time
+     * Hovering (or long-pressing) reveals the reasons
+     * @param {Object} report - Validation report from the store worker
+     */
+    updateDataReport(report) {
+        const el = document.getElementById(CONFIG.UI.DATA_REPORT_ID);
+        if (!el || !report) return;
+
+        if (report.rejected === 0 && report.suspicious === 0) {
+            el.textContent = '';
+            el.removeAttribute('title');
+            return;
+        }
+
+        el.textContent = I18nService.t('DATA_REPORT_SUMMARY', {
+            rejected: report.rejected,
+            suspicious: report.suspicious
+        });
+        el.title = Object.entries(report.issues)
+            .map(([, issue]) => `${I18nService.t(issue.messageKey)}: ${issue.count}`)
+            .join('\n');
+    }
+
+    /**
+     * Takes a new dataset and redraws the markers for the current view
+     * Only what is in view is turned into markers; the worker clusters the rest
+     * Stores the worker grouped under one locationId share a single marker
      * @param {Array} stores 
      */
     renderMarkers(stores) {
         if (!this.markersLayer) return;
 
+        // Open details belong to markers about to be replaced (e.g. fresher data arrived)
+        this._clearMarkers();
+        this.storesById = new Map(stores.map(store => [store.id, store]));
+        this.heatmapPoints = null;
+        this.shownFavoriteIds = new Set(this.favoritesService.favoriteIds);
+
+        this._updateLegendCounts(stores);
+        this._refreshMarkers();
+    }
+
+    /**
+     * Removes every drawn marker, closing details that belong to one
+     */
+    _clearMarkers() {
+        this.map.closePopup();
+        if (this.sheet.isOpen) this.sheet.close();
+
         this.markersLayer.clearLayers();
-        const markers = [];
+        this.markers = new Map();
+        this.markersByStoreId = new Map();
+    }
 
-        stores.forEach(store => {
-            const icon = this.icons[store.markerColor] || this.icons[CONFIG.MARKERS.DEFAULT];
-            const popupContent = UIHelpers.createStorePopupContent(store);
+    /**
+     * Asks the worker for the clusters and locations in view and draws them,
+     * or the heatmap instead when it is chosen and the view is zoomed out
+     * @returns {Promise<void>} Settles when the markers are drawn (or the query was superseded)
+     */
+    _refreshMarkers() {
+        if (!this.markersLayer || this.storesById.size === 0) return this.clusterRefresh;
 
-            const marker = L.marker([store.latitude, store.longitude], { 
-                icon: icon,
-                markerColor: store.markerColor 
-            }).bindPopup(popupContent);
-            
-            markers.push(marker);
+        if (this._isHeatmapShown()) {
+            this._showHeatmap();
+            return this.clusterRefresh;
+        }
+        this._hideHeatmap();
+
+        if (this.clusterAbort) this.clusterAbort.abort();
+        this.clusterAbort = new AbortController();
+        const { signal } = this.clusterAbort;
+
+        const bounds = this.map.getBounds().pad(CONFIG.CLUSTER.BOUNDS_PADDING);
+        this.clusterRefresh = StoreService.getClusters({
+            north: bounds.getNorth(),
+            south: bounds.getSouth(),
+            east: bounds.getEast(),
+            west: bounds.getWest()
+        }, this.map.getZoom(), this.filterService.criteria, { signal })
+            .then(features => this._drawFeatures(features))
+            .catch(error => {
+                if (error.name !== 'AbortError') console.warn('Failed to load map clusters:', error);
+            });
+        return this.clusterRefresh;
+    }
+
+    /**
+     * Replaces the markers with the heatmap, loading its points from the worker when the filter or mode changed
+     */
+    _showHeatmap() {
+        if (this.clusterAbort) this.clusterAbort.abort();
+        if (this.markers.size > 0) this._clearMarkers();
+        this.heatmapLayer.addTo(this.map);
+        if (this.heatmapPoints) return;
+
+        if (this.heatmapAbort) this.heatmapAbort.abort();
+        this.heatmapAbort = new AbortController();
+        const mode = CONFIG.HEATMAP.MODES.find(candidate => candidate.ID === this.displayMode);
+
+        StoreService.getHeatmapPoints(this.filterService.criteria, mode.WEIGHTS, { signal: this.heatmapAbort.signal })
+            .then(points => {
+                this.heatmapPoints = points;
+                this.heatmapLayer.setPoints(points);
+            })
+            .catch(error => {
+                if (error.name !== 'AbortError') console.warn('Failed to load heatmap points:', error);
+            });
+    }
+
+    _hideHeatmap() {
+        if (this.heatmapAbort) this.heatmapAbort.abort();
+        this.heatmapLayer.remove();
+    }
+
+    /**
+     * Swaps the drawn markers for a new set of features, keeping markers that did not change
+     * Kept markers keep their open popup, so panning does not close the details
+     * @param {Array<Object>} features - From StoreService.getClusters
+     */
+    _drawFeatures(features) {
+        const next = new Map();
+        features.forEach(feature => {
+            const key = `${feature.type}:${feature.id}`;
+            // Cluster ids restart when the worker rebuilds its index, so position is part of the identity
+            const signature = feature.type === 'cluster'
+                ? `${feature.count}@${feature.latitude},${feature.longitude}`
+                : feature.storeIds.join('|');
+
+            const existing = this.markers.get(key);
+            if (existing && existing.options.signature === signature) {
+                next.set(key, existing);
+                return;
+            }
+
+            let marker;
+            if (feature.type === 'cluster') {
+                marker = this._createClusterMarker(feature);
+            } else {
+                const stores = feature.storeIds.map(id => this.storesById.get(id)).filter(Boolean);
+                if (stores.length === 0) return;
+                marker = this._createMarker(UIHelpers.sortByCategoryRank(stores));
+            }
+            marker.options.signature = signature;
+            next.set(key, marker);
+        });
+
+        this.markers.forEach((marker, key) => {
+            if (next.get(key) !== marker) this.markersLayer.removeLayer(marker);
+        });
+        this.markersByStoreId = new Map();
+        next.forEach(marker => {
+            if (!this.markersLayer.hasLayer(marker)) this.markersLayer.addLayer(marker);
+            if (marker.options.stores) {
+                marker.options.stores.forEach(store => this.markersByStoreId.set(store.id, marker));
+            }
+        });
+        this.markers = next;
+    }
+
+    /**
+     * Builds a cluster marker that zooms in to where the cluster splits
+     * Its ring shows the share of each category among the stores inside
+     * @param {Object} feature - Cluster from StoreService.getClusters
+     * @returns {L.Marker}
+     */
+    _createClusterMarker(feature) {
+        const marker = L.marker([feature.latitude, feature.longitude], {
+            icon: UIHelpers.createClusterIcon(feature.count, feature.categories)
+        });
+        marker.on('click', () => {
+            this.map.setView(marker.getLatLng(), Math.min(feature.expansionZoom, this.map.getMaxZoom()));
         });
 
-        this.markersLayer.addLayers(markers);
+        // Exact breakdown on hover, or on long-press where there is no hover
+        marker.bindTooltip(UIHelpers.createClusterBreakdownContent(feature.categories), {
+            direction: 'top',
+            offset: [0, -20],
+            className: 'cluster-tooltip'
+        });
+        marker.on('contextmenu', () => marker.openTooltip());
+        return marker;
+    }
+
+    /**
+     * Builds the marker for one location
+     * @param {Array} stores - Visible stores at this spot, best category first
+     * @returns {L.Marker}
+     */
+    _createMarker(stores) {
+        const first = stores[0];
+        const marker = L.marker([first.latitude, first.longitude], {
+            markerColor: first.markerColor,
+            store: first, // Representative store: best category among the visible ones
+            stores: stores
+        });
+        marker.setIcon(this._getIcon(marker));
+
+        // Content is generated on open so it reflects the current star, note and distance
+        marker.bindPopup(() => this._renderDetails(marker));
+        // Clicks go through _openDetails, which picks the popup or the bottom sheet
+        marker.off('click');
+        marker.on('click', () => this._openDetails(marker));
+
+        marker.on('popupopen', (e) => this._handleDetailsOpen(marker, e.popup));
+        marker.on('popupclose', () => this._handleDetailsClose(marker));
+
+        return marker;
+    }
+
+    /**
+     * Generates the details HTML for a marker
+     * @param {L.Marker} marker 
+     * @returns {string}
+     */
+    _renderDetails(marker) {
+        const { stores } = marker.options;
+        const getDetails = store => ({
+            isFavorite: this.favoritesService.isFavorite(store.id),
+            note: this.favoritesService.getNote(store.id),
+            distance: this._distanceFromUser(store)
+        });
+
+        if (stores.length === 1) {
+            return UIHelpers.createStorePopupContent(stores[0], getDetails(stores[0]));
+        }
+        // A store focused from search / lists is listed first
+        const focused = stores.find(store => store.id === marker.options.focusedStoreId);
+        const ordered = focused ? [focused, ...stores.filter(store => store !== focused)] : stores;
+        return UIHelpers.createGroupPopupContent(ordered, getDetails);
+    }
+
+    /**
+     * @param {Object} store 
+     * @returns {number|null} Meters from the last known user position, or null if unknown
+     */
+    _distanceFromUser(store) {
+        const position = this.locationService.lastPosition;
+        if (!position) return null;
+        return GeoUtils.distance(position.coords.latitude, position.coords.longitude, store.latitude, store.longitude);
+    }
+
+    /**
+     * Shows a marker's details as a popup, or in the bottom sheet on small screens
+     * @param {L.Marker} marker 
+     */
+    _openDetails(marker) {
+        if (!this.sheet.isPreferred) {
+            marker.openPopup();
+            return;
+        }
+
+        this.map.closePopup();
+        this.sheet.open(this._renderDetails(marker), () => this._handleDetailsClose(marker));
+        this._handleDetailsOpen(marker, this.sheet);
+    }
+
+    _handleDetailsOpen(marker, container) {
+        const store = this.storesById.get(marker.options.focusedStoreId) || marker.options.store;
+        this.openStore = store;
+        this.openMarker = marker;
+        this.emit('storeopen', store, container);
+    }
+
+    _handleDetailsClose(marker) {
+        // A newly opened marker may already have taken over
+        if (this.openMarker !== marker) return;
+
+        const store = this.openStore;
+        marker.options.focusedStoreId = null;
+        this.openStore = null;
+        this.openMarker = null;
+        this.emit('storeclose', store);
+    }
+
+    /**
+     * Re-renders the open popup or sheet, e.g. after a star toggled
+     */
+    _refreshOpenDetails() {
+        const marker = this.openMarker;
+        if (!marker) return;
+
+        if (this.sheet.isOpen) {
+            this.sheet.setContent(this._renderDetails(marker));
+        } else if (marker.isPopupOpen()) {
+            marker.getPopup().update();
+        }
+    }
+
+    /**
+     * Returns the current map view
+     * @returns {{center: Array<number>, zoom: number}}
+     */
+    getView() {
+        const center = this.map.getCenter();
+        return { center: [center.lat, center.lng], zoom: this.map.getZoom() };
+    }
+
+    /**
+     * Looks up a loaded store by its ID
+     * @param {string} storeId 
+     * @returns {Object|null}
+     */
+    getStore(storeId) {
+        return this.storesById.get(storeId) || null;
+    }
+
+    /**
+     * Flies to a store and opens its details, zooming in far enough that its cluster splits
+     * @param {string} storeId 
+     * @returns {boolean} False when the store is unknown or filtered out
+     */
+    focusStore(storeId) {
+        const store = this.storesById.get(storeId);
+        if (!store || !this.filterService.createPredicate()(store)) return false;
+
+        this._flyToStore(store);
+        return true;
+    }
+
+    async _flyToStore(store) {
+        let splitZoom = null;
+        try {
+            splitZoom = await StoreService.getSplitZoom(store.id, this.filterService.criteria);
+        } catch (error) {
+            console.warn('Failed to look up cluster zoom:', error);
+        }
+        const zoom = Math.max(
+            this.map.getZoom(),
+            CONFIG.SEARCH.FOCUS_ZOOM,
+            splitZoom === null ? CONFIG.CLUSTER.MAX_ZOOM + 1 : splitZoom
+        );
+
+        // Open only after the flight, once the markers for the final view are drawn
+        this.map.once('moveend', async () => {
+            await this.clusterRefresh;
+            const marker = this.markersByStoreId.get(store.id);
+            if (!marker) return;
+            marker.options.focusedStoreId = store.id;
+            this._openDetails(marker);
+        });
+        this.map.flyTo([store.latitude, store.longitude], zoom);
+    }
+
+    /**
+     * Swaps star icons on markers whose favorite state changed and refreshes an open popup
+     * @param {Set<string>} favoriteIds 
+     */
+    _refreshFavorites(favoriteIds) {
+        const changedIds = new Set();
+        favoriteIds.forEach(id => { if (!this.shownFavoriteIds.has(id)) changedIds.add(id); });
+        this.shownFavoriteIds.forEach(id => { if (!favoriteIds.has(id)) changedIds.add(id); });
+        this.shownFavoriteIds = new Set(favoriteIds);
+
+        this._refreshIcons(changedIds);
+        this._refreshOpenDetails();
+    }
+
+    /**
+     * Moves the locate button to its next mode: off -> show -> follow -> off
+     * Show starts GPS and centers once; follow keeps the map centered on every fix until the user pans
+     */
+    cycleLocateMode() {
+        const { MODES } = CONFIG.LOCATE;
+        if (this.locateMode === MODES.OFF) {
+            this.locateUser(true);
+        } else if (this.locateMode === MODES.SHOW) {
+            this._setLocateMode(MODES.FOLLOW);
+            const position = this.locationService.lastPosition;
+            if (position && !position.isManual) {
+                this.map.panTo([position.coords.latitude, position.coords.longitude]);
+            }
+        } else {
+            this.stopLocating();
+        }
+    }
+
+    /**
+     * Stops GPS updates and hides the GPS marker; a manual location stays on the map
+     */
+    stopLocating() {
+        this.locationService.clearWatch();
+        this.isWatchPaused = false;
+        this._setLocateMode(CONFIG.LOCATE.MODES.OFF);
+        if (this.userMarker && !this.userMarker.options.isManual) {
+            this.userMarker.remove();
+            this.userMarker = null;
+        }
+        this._updateAccuracy(null);
     }
 
     /**
      * Handles user location request
      * @param {boolean} isManualRequest 
+     * @param {boolean} recenter - Whether to move the map to the user (false keeps a restored view)
      */
-    async locateUser(isManualRequest = false) {
+    async locateUser(isManualRequest = false, recenter = true) {
         if (this.locateButton) {
             this.locateButton.classList.add('loading');
         }
 
         try {
             const position = await this.locationService.getCurrentPosition();
-            this._handleLocationSuccess(position);
-
-            // Start watching for updates
-            this.locationService.watchPosition(
-                (pos) => this._updateUserMarker(pos.coords.latitude, pos.coords.longitude),
-                (err) => console.warn('Error watching position:', err.message)
-            );
+            this._handleLocationSuccess(position, recenter);
+            this._startWatching();
         } catch (error) {
             this._handleLocationError(error, isManualRequest);
         }
     }
 
-    _handleLocationSuccess(position) {
+    _startWatching() {
+        this.locationService.watchPosition(
+            (pos) => this._showGpsPosition(pos),
+            (err) => console.warn('Error watching position:', err.message)
+        );
+    }
+
+    /**
+     * Pauses GPS while the page is hidden, to save battery, and resumes it when the page is back
+     */
+    _initVisibilityHandling() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                if (this.locationService.isWatching) {
+                    this.locationService.clearWatch();
+                    this.isWatchPaused = true;
+                }
+            } else if (this.isWatchPaused) {
+                this.isWatchPaused = false;
+                this._startWatching();
+            }
+        });
+    }
+
+    _handleLocationSuccess(position, recenter = true) {
         if (this.locateButton) {
             this.locateButton.classList.remove('loading');
         }
+        if (this.locateMode === CONFIG.LOCATE.MODES.OFF) {
+            this._setLocateMode(CONFIG.LOCATE.MODES.SHOW);
+        }
 
         const { latitude, longitude } = position.coords;
         
-        this._updateUserMarker(latitude, longitude);
-        this.map.setView([latitude, longitude], 15);
+        this._showGpsPosition(position);
+        if (recenter) {
+            this.map.setView([latitude, longitude], CONFIG.LOCATE.ZOOM);
+        }
     }
 
     _handleLocationError(error, isManualRequest) {
@@ -202,7 +766,7 @@ export class MapController {
         }
 
         if (error.message === 'GEOLOCATION_NOT_SUPPORTED') {
-            this.notificationService?.show(CONFIG.MESSAGES.LOCATION_NOT_SUPPORTED, 'error');
+            this.notificationService?.show(I18nService.t('LOCATION_NOT_SUPPORTED'), 'error');
             return;
         }
 
@@ -216,26 +780,140 @@ export class MapController {
         this.lastErrorTime = now;
 
         const message = LocationService.getErrorMessage(error);
-        this.notificationService?.show(message, 'error');
+        this.notificationService?.show(`${message} ${I18nService.t('LOCATION_MANUAL_HINT')}`, 'error');
     }
 
-    _updateUserMarker(lat, lng) {
-        if (this.userMarker) {
-            this.userMarker.setLatLng([lat, lng]);
+    /**
+     * Reflects the locate mode on the button
+     * @param {string} mode - One of CONFIG.LOCATE.MODES
+     */
+    _setLocateMode(mode) {
+        const { MODES } = CONFIG.LOCATE;
+        this.locateMode = mode;
+        if (!this.locateButton) return;
+
+        this.locateButton.classList.toggle('is-showing', mode === MODES.SHOW);
+        this.locateButton.classList.toggle('is-following', mode === MODES.FOLLOW);
+        this.locateButton.setAttribute('aria-pressed', String(mode !== MODES.OFF));
+        const titleKeys = { [MODES.OFF]: 'LOCATE_TITLE', [MODES.SHOW]: 'LOCATE_FOLLOW_TITLE', [MODES.FOLLOW]: 'LOCATE_STOP_TITLE' };
+        this.locateButton.title = I18nService.t(titleKeys[mode]);
+    }
+
+    /**
+     * Sets the user's location by hand, e.g. from a long-press, a store or a saved place
+     * Distance features treat it like a GPS fix; the locate button switches back to GPS
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {string} label - Shown with the manual location marker
+     * @param {boolean} recenter - Whether to move the map there
+     */
+    setManualLocation(latitude, longitude, label, recenter = true) {
+        this.locationService.setManualPosition(latitude, longitude, label);
+        this.isWatchPaused = false;
+        this._setLocateMode(CONFIG.LOCATE.MODES.OFF);
+        this._updateUserMarker(latitude, longitude, label);
+        this._updateAccuracy(null);
+        if (recenter) {
+            this.map.setView([latitude, longitude], Math.max(this.map.getZoom(), CONFIG.LOCATE.ZOOM));
+        }
+    }
+
+    /**
+     * Draws a GPS fix: the marker, its accuracy circle and heading, and follows it in follow mode
+     * @param {GeolocationPosition} position
+     */
+    _showGpsPosition(position) {
+        const { latitude, longitude, heading } = position.coords;
+        this._updateUserMarker(latitude, longitude);
+        this._updateAccuracy(position.coords);
+        this._updateHeading(heading);
+
+        if (this.locateMode === CONFIG.LOCATE.MODES.FOLLOW) {
+            this.map.panTo([latitude, longitude]);
+        }
+    }
+
+    /**
+     * @param {GeolocationCoordinates|null} coords - Null removes the circle
+     */
+    _updateAccuracy(coords) {
+        if (!coords || !coords.accuracy) {
+            if (this.accuracyCircle) {
+                this.accuracyCircle.remove();
+                this.accuracyCircle = null;
+            }
+            return;
+        }
+
+        const latLng = [coords.latitude, coords.longitude];
+        if (this.accuracyCircle) {
+            this.accuracyCircle.setLatLng(latLng).setRadius(coords.accuracy);
         } else {
-            const userIcon = L.divIcon({
+            this.accuracyCircle = L.circle(latLng, {
+                radius: coords.accuracy,
+                className: 'user-accuracy',
+                interactive: false
+            }).addTo(this.map);
+        }
+    }
+
+    /**
+     * Points the marker's arrow along the direction of travel; hidden when the device reports none
+     * @param {number|null} heading - Degrees clockwise from north
+     */
+    _updateHeading(heading) {
+        const element = this.userMarker && this.userMarker.getElement();
+        const arrow = element && element.querySelector('.user-heading');
+        if (!arrow) return;
+
+        const hasHeading = typeof heading === 'number' && Number.isFinite(heading);
+        arrow.hidden = !hasHeading;
+        if (hasHeading) {
+            arrow.style.transform = `rotate(${heading}deg)`;
+        }
+    }
+
+    /**
+     * Moves the user marker, switching its look between a GPS fix and a manual location
+     * @param {number} lat
+     * @param {number} lng
+     * @param {string|null} manualLabel - Label of a manual location; null for GPS
+     */
+    _updateUserMarker(lat, lng, manualLabel = null) {
+        const isManual = manualLabel !== null;
+        const popupContent = isManual
+            ? UIHelpers.escapeHtml(I18nService.t('MANUAL_LOCATION_POPUP', { label: manualLabel }))
+            : I18nService.t('USER_LOCATION_POPUP');
+
+        if (this.userMarker && this.userMarker.options.isManual === isManual) {
+            this.userMarker.setLatLng([lat, lng]);
+            this.userMarker.setPopupContent(popupContent);
+            return;
+        }
+
+        if (this.userMarker) {
+            this.userMarker.remove();
+        }
+        const userIcon = isManual
+            ? L.divIcon({
+                className: 'user-location-marker',
+                html: `<div class="manual-location"></div><span class="manual-location-tag">${UIHelpers.escapeHtml(I18nService.t('MANUAL_LOCATION_TAG'))}</span>`,
+                iconSize: [20, 20],
+                iconAnchor: [10, 10]
+            })
+            : L.divIcon({
                 className: 'user-location-marker',
-                html: '<div class="pulse"></div>',
+                html: '<div class="user-heading" hidden></div><div class="pulse"></div>',
                 iconSize: [20, 20],
                 iconAnchor: [10, 10]
             });
 
-            this.userMarker = L.marker([lat, lng], {
-                icon: userIcon,
-                zIndexOffset: 1000
-            })
-            .addTo(this.map)
-            .bindPopup(CONFIG.MESSAGES.USER_LOCATION_POPUP);
-        }
+        this.userMarker = L.marker([lat, lng], {
+            icon: userIcon,
+            zIndexOffset: 1000,
+            isManual
+        })
+        .addTo(this.map)
+        .bindPopup(popupContent);
     }
 }
@@ -0,0 +1,99 @@
+import { CONFIG } from '../config.js';
+import { StoreService } from '../services/StoreService.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls the "nearest stores" panel
+ * Re-ranks stores whenever the user's position or the category filter changes
+ */
+export class NearbyController {
+    constructor(mapController, locationService, filterService) {
+        this.mapController = mapController;
+        this.locationService = locationService;
+        this.filterService = filterService;
+        this.container = null;
+        this.list = null;
+        this.nearestAbort = null; // Cancels stale rankings when positions arrive quickly
+    }
+
+    /**
+     * Adds the panel to the map and subscribes to position and filter updates
+     */
+    init() {
+        const nearbyControl = L.control({ position: 'bottomleft' });
+
+        nearbyControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'list-panel leaflet-control');
+            container.innerHTML = `
+                <button type="button" class="list-panel-toggle" aria-expanded="false">
+                    ${UIHelpers.escapeHtml(I18nService.t('NEARBY_TITLE'))}
+                </button>
+                <ul class="list-panel-list"></ul>
+            `;
+            this.container = container;
+            this.list = container.querySelector('.list-panel-list');
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.querySelector('.list-panel-toggle').addEventListener('click', () => this.toggle());
+            this.list.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-store-id]');
+                if (item) {
+                    this.mapController.focusStore(item.dataset.storeId);
+                }
+            });
+
+            return container;
+        };
+
+        nearbyControl.addTo(this.mapController.map);
+
+        this.locationService.on('position', () => this.refresh());
+        this.filterService.on('change', () => this.refresh());
+    }
+
+    get isOpen() {
+        return !!this.container && this.container.classList.contains(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+    }
+
+    toggle() {
+        const isOpen = this.container.classList.toggle(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+        this.container.querySelector('.list-panel-toggle').setAttribute('aria-expanded', String(isOpen));
+        if (isOpen) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Re-ranks the list from the latest known position
+     * Skipped while the panel is collapsed; opening it refreshes anyway
+     */
+    async refresh() {
+        if (!this.isOpen) return;
+
+        const position = this.locationService.lastPosition;
+        if (!position) {
+            this.list.innerHTML = `<li class="list-panel-empty">${UIHelpers.escapeHtml(I18nService.t('NEARBY_NO_LOCATION'))}</li>`;
+            return;
+        }
+
+        if (this.nearestAbort) this.nearestAbort.abort();
+        this.nearestAbort = new AbortController();
+        const { signal } = this.nearestAbort;
+        const { latitude, longitude } = position.coords;
+
+        try {
+            const results = await StoreService.findNearest(latitude, longitude, this.filterService.criteria, { signal });
+
+            const entries = results
+                .map(({ id, distance }) => ({ store: this.mapController.getStore(id), distance }))
+                .filter(entry => entry.store);
+            this.list.innerHTML = UIHelpers.createNearbyListContent(entries);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('Nearest store lookup failed:', error);
+        }
+    }
+}
@@ -0,0 +1,202 @@
+import { CONFIG } from '../config.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+import { OfflineTileService } from '../services/OfflineTileService.js';
+
+/**
+ * Controls the "offline map" panel: saving the visible area's tiles and managing saved areas
+ */
+export class OfflineAreasController {
+    constructor(mapController, offlineTileService, notificationService) {
+        this.mapController = mapController;
+        this.offlineTileService = offlineTileService;
+        this.notificationService = notificationService;
+        this.container = null;
+        this.elements = {};
+    }
+
+    /**
+     * Adds the panel; skipped where Cache Storage is unavailable
+     */
+    init() {
+        if (!OfflineTileService.isSupported()) return;
+
+        const offlineControl = L.control({ position: 'bottomleft' });
+
+        offlineControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'list-panel offline-panel leaflet-control');
+            container.innerHTML = UIHelpers.createOfflinePanelContent();
+            this.container = container;
+            this.elements = {
+                name: container.querySelector('[data-field="name"]'),
+                minZoom: container.querySelector('[data-field="min-zoom"]'),
+                maxZoom: container.querySelector('[data-field="max-zoom"]'),
+                estimate: container.querySelector('.offline-estimate'),
+                download: container.querySelector('[data-action="download"]'),
+                cancel: container.querySelector('[data-action="cancel"]'),
+                progress: container.querySelector('.offline-progress'),
+                list: container.querySelector('.list-panel-list')
+            };
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.querySelector('.list-panel-toggle').addEventListener('click', () => this.toggle());
+            this.elements.minZoom.addEventListener('change', () => this._updateEstimate());
+            this.elements.maxZoom.addEventListener('change', () => this._updateEstimate());
+            this.elements.download.addEventListener('click', () => this.downloadVisibleArea());
+            this.elements.cancel.addEventListener('click', () => this.offlineTileService.cancel());
+            this.elements.list.addEventListener('click', (e) => this._handleListClick(e));
+
+            return container;
+        };
+
+        offlineControl.addTo(this.mapController.map);
+
+        this.mapController.on('viewchange', () => this._updateEstimate());
+        this.offlineTileService.on('progress', (progress) => this._showProgress(progress));
+        this.offlineTileService.on('change', () => this._renderAreas());
+    }
+
+    get isOpen() {
+        return !!this.container && this.container.classList.contains(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+    }
+
+    toggle() {
+        const isOpen = this.container.classList.toggle(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+        this.container.querySelector('.list-panel-toggle').setAttribute('aria-expanded', String(isOpen));
+        if (isOpen) {
+            this._resetZoomRange();
+            this._updateEstimate();
+            this._renderAreas();
+        }
+    }
+
+    /**
+     * Saves the tiles of the visible map area over the chosen zoom range
+     */
+    async downloadVisibleArea() {
+        const { minZoom, maxZoom } = this._getZoomRange();
+        const name = this.elements.name.value.trim()
+            || I18nService.t('OFFLINE_DEFAULT_NAME', { date: new Date().toLocaleString(I18nService.locale) });
+
+        this._setDownloading(true);
+        try {
+            const { area, failed } = await this.offlineTileService.download({
+                name,
+                bounds: this._getBounds(),
+                minZoom,
+                maxZoom
+            });
+            this.elements.name.value = '';
+            this.notificationService.show(
+                failed > 0
+                    ? I18nService.t('OFFLINE_PARTIAL', { name: area.name, failed })
+                    : I18nService.t('OFFLINE_DONE', { name: area.name }),
+                failed > 0 ? 'error' : 'info'
+            );
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.notificationService.show(I18nService.t('OFFLINE_CANCELLED'), 'info');
+            } else {
+                console.warn('Offline tile download failed:', error);
+                this.notificationService.show(I18nService.t('OFFLINE_FAILED'), 'error');
+            }
+        } finally {
+            this._setDownloading(false);
+        }
+    }
+
+    _handleListClick(e) {
+        const deleteButton = e.target.closest('[data-delete-area]');
+        if (deleteButton) {
+            this.offlineTileService.remove(deleteButton.dataset.deleteArea)
+                .catch(error => console.warn('Failed to delete offline area:', error));
+            return;
+        }
+
+        const item = e.target.closest('[data-area-bounds]');
+        if (item) {
+            const { north, south, east, west } = JSON.parse(item.dataset.areaBounds);
+            this.mapController.map.fitBounds([[south, west], [north, east]]);
+        }
+    }
+
+    /**
+     * Offers zoom levels from the current one down to the deepest allowed
+     */
+    _resetZoomRange() {
+        if (this.offlineTileService.isDownloading) return;
+
+        const current = Math.round(this.mapController.map.getZoom());
+        const maxZoom = CONFIG.OFFLINE_TILES.MAX_ZOOM;
+        const options = [];
+        for (let zoom = Math.min(current, maxZoom); zoom <= maxZoom; zoom++) {
+            options.push(`<option value="${zoom}">${zoom}</option>`);
+        }
+        this.elements.minZoom.innerHTML = options.join('');
+        this.elements.maxZoom.innerHTML = options.join('');
+        this.elements.minZoom.selectedIndex = 0;
+        this.elements.maxZoom.selectedIndex = options.length - 1;
+    }
+
+    _getZoomRange() {
+        const a = Number(this.elements.minZoom.value);
+        const b = Number(this.elements.maxZoom.value);
+        return { minZoom: Math.min(a, b), maxZoom: Math.max(a, b) };
+    }
+
+    _getBounds() {
+        const bounds = this.mapController.map.getBounds();
+        return {
+            north: bounds.getNorth(),
+            south: bounds.getSouth(),
+            east: bounds.getEast(),
+            west: bounds.getWest()
+        };
+    }
+
+    _updateEstimate() {
+        if (!this.isOpen || this.offlineTileService.isDownloading) return;
+
+        const { minZoom, maxZoom } = this._getZoomRange();
+        const { tiles, bytes } = this.offlineTileService.estimate(this._getBounds(), minZoom, maxZoom);
+        const tooMany = tiles > CONFIG.OFFLINE_TILES.MAX_TILES;
+
+        this.elements.estimate.textContent = tooMany
+            ? I18nService.t('OFFLINE_TOO_MANY', { tiles, max: CONFIG.OFFLINE_TILES.MAX_TILES })
+            : I18nService.t('OFFLINE_ESTIMATE', { tiles, size: UIHelpers.formatBytes(bytes) });
+        this.elements.estimate.classList.toggle('is-error', tooMany);
+        this.elements.download.disabled = tooMany;
+    }
+
+    _setDownloading(isDownloading) {
+        this.elements.download.hidden = isDownloading;
+        this.elements.cancel.hidden = !isDownloading;
+        this.elements.progress.hidden = !isDownloading;
+        this.elements.minZoom.disabled = isDownloading;
+        this.elements.maxZoom.disabled = isDownloading;
+        if (isDownloading) {
+            this.elements.progress.value = 0;
+        } else {
+            this._updateEstimate();
+        }
+    }
+
+    _showProgress({ done, total }) {
+        this.elements.progress.max = total;
+        this.elements.progress.value = done;
+        this.elements.estimate.textContent = I18nService.t('OFFLINE_PROGRESS', { done, total });
+    }
+
+    async _renderAreas() {
+        if (!this.isOpen) return;
+
+        try {
+            const areas = await this.offlineTileService.list();
+            this.elements.list.innerHTML = UIHelpers.createOfflineAreaListContent(areas);
+        } catch (error) {
+            console.warn('Failed to list offline areas:', error);
+        }
+    }
+}
@@ -0,0 +1,142 @@
+import { CONFIG } from '../config.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls manual locations: the long-press menu on the map and the "my places" panel
+ * Saved places live in PlacesService; choosing one sets it as the user's location
+ */
+export class PlacesController {
+    constructor(mapController, placesService, locationService, notificationService) {
+        this.mapController = mapController;
+        this.placesService = placesService;
+        this.locationService = locationService;
+        this.notificationService = notificationService;
+        this.container = null;
+        this.list = null;
+    }
+
+    /**
+     * Adds the places panel and the long-press menu
+     */
+    init() {
+        const placesControl = L.control({ position: 'bottomleft' });
+
+        placesControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'list-panel places-panel leaflet-control');
+            container.innerHTML = UIHelpers.createPlacesPanelContent();
+            this.container = container;
+            this.list = container.querySelector('.list-panel-list');
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.querySelector('.list-panel-toggle').addEventListener('click', () => this.toggle());
+            container.querySelector('[data-action="save-current"]').addEventListener('click', () => this._saveCurrent());
+            this.list.addEventListener('click', (e) => this._handleListClick(e));
+            return container;
+        };
+
+        placesControl.addTo(this.mapController.map);
+
+        // Long-press on touch screens, right-click with a mouse
+        this.mapController.map.on('contextmenu', (e) => this._openLocationMenu(e.latlng));
+        this.placesService.on('change', () => this._render());
+    }
+
+    toggle() {
+        const isOpen = this.container.classList.toggle(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+        this.container.querySelector('.list-panel-toggle').setAttribute('aria-expanded', String(isOpen));
+        this._render();
+    }
+
+    /**
+     * Sets the default place as the user's location, if there is one
+     * @param {boolean} recenter - Whether to move the map there
+     * @returns {boolean} False without a default place
+     */
+    applyDefault(recenter) {
+        const place = this.placesService.defaultPlace;
+        if (!place) return false;
+
+        this.mapController.setManualLocation(place.latitude, place.longitude, place.name, recenter);
+        return true;
+    }
+
+    _openLocationMenu(latlng) {
+        const popup = L.popup()
+            .setLatLng(latlng)
+            .setContent(UIHelpers.createLocationMenuContent())
+            .openOn(this.mapController.map);
+
+        const element = popup.getElement();
+        const nameInput = element.querySelector('[data-field="name"]');
+        element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (!action) return;
+
+            if (action.dataset.action === 'set-location') {
+                this.mapController.setManualLocation(latlng.lat, latlng.lng, I18nService.t('MANUAL_LOCATION_PINNED'), false);
+                this.mapController.map.closePopup(popup);
+            } else if (action.dataset.action === 'save-place') {
+                if (this._savePlace(nameInput.value, latlng.lat, latlng.lng)) {
+                    this.mapController.map.closePopup(popup);
+                }
+            }
+        });
+    }
+
+    _saveCurrent() {
+        const position = this.locationService.lastPosition;
+        if (!position) {
+            this.notificationService.show(I18nService.t('PLACES_NO_LOCATION'), 'error');
+            return;
+        }
+
+        const nameInput = this.container.querySelector('[data-field="name"]');
+        if (this._savePlace(nameInput.value, position.coords.latitude, position.coords.longitude)) {
+            nameInput.value = '';
+        }
+    }
+
+    /**
+     * @returns {boolean} False when the name was missing
+     */
+    _savePlace(name, latitude, longitude) {
+        if (!name.trim()) {
+            this.notificationService.show(I18nService.t('PLACE_NAME_REQUIRED'), 'error');
+            return false;
+        }
+
+        const place = this.placesService.add(name, latitude, longitude);
+        this.notificationService.show(I18nService.t('PLACE_SAVED', { name: place.name }), 'info');
+        return true;
+    }
+
+    _handleListClick(e) {
+        const defaultButton = e.target.closest('[data-default-id]');
+        if (defaultButton) {
+            const placeId = defaultButton.dataset.defaultId;
+            this.placesService.setDefault(placeId === this.placesService.defaultId ? null : placeId);
+            return;
+        }
+
+        const removeButton = e.target.closest('[data-remove-id]');
+        if (removeButton) {
+            this.placesService.remove(removeButton.dataset.removeId);
+            return;
+        }
+
+        const item = e.target.closest('[data-place-id]');
+        const place = item && this.placesService.getAll().find(candidate => candidate.id === item.dataset.placeId);
+        if (place) {
+            this.mapController.setManualLocation(place.latitude, place.longitude, place.name);
+        }
+    }
+
+    _render() {
+        if (!this.list || !this.container.classList.contains(CONFIG.UI.CSS_CLASSES.PANEL_OPEN)) return;
+
+        this.list.innerHTML = UIHelpers.createPlacesListContent(this.placesService.getAll(), this.placesService.defaultId);
+    }
+}
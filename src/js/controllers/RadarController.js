@@ -0,0 +1,152 @@
+import { CONFIG } from '../config.js';
+import { StoreService } from '../services/StoreService.js';
+import { UrlStateService } from '../services/UrlStateService.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls the opt-in "ice cream radar": alerts when the watched position comes near a store
+ * of a chosen category, once per store per session and never during quiet hours
+ * Settings and notification delivery live in ProximityAlertService
+ */
+export class RadarController {
+    constructor(mapController, locationService, proximityAlertService, notificationService) {
+        this.mapController = mapController;
+        this.locationService = locationService;
+        this.proximityAlertService = proximityAlertService;
+        this.notificationService = notificationService;
+        this.container = null;
+        this.form = null;
+        this.nearestAbort = null; // Drops checks for positions that have been superseded
+    }
+
+    /**
+     * Adds the settings panel and starts checking positions
+     */
+    init() {
+        const radarControl = L.control({ position: 'bottomleft' });
+
+        radarControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'list-panel radar-panel leaflet-control');
+            container.innerHTML = UIHelpers.createRadarPanelContent(this.proximityAlertService.settings);
+            this.container = container;
+            this.form = container.querySelector('.radar-form');
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.querySelector('.list-panel-toggle').addEventListener('click', () => this.toggle());
+            this.form.addEventListener('change', (e) => this._handleChange(e));
+            return container;
+        };
+
+        radarControl.addTo(this.mapController.map);
+        this._syncState();
+
+        this.locationService.on('position', (position) => this.check(position));
+        this.proximityAlertService.on('open', (storeId) => this.mapController.focusStore(storeId));
+    }
+
+    toggle() {
+        const isOpen = this.container.classList.toggle(CONFIG.UI.CSS_CLASSES.PANEL_OPEN);
+        this.container.querySelector('.list-panel-toggle').setAttribute('aria-expanded', String(isOpen));
+    }
+
+    /**
+     * Alerts about watched stores within the radius of a position
+     * @param {GeolocationPosition} position
+     */
+    async check(position) {
+        const { enabled, categories, radius } = this.proximityAlertService.settings;
+        if (!enabled || categories.length === 0 || this.proximityAlertService.isQuietTime()) return;
+
+        if (this.nearestAbort) this.nearestAbort.abort();
+        this.nearestAbort = new AbortController();
+        const { latitude, longitude } = position.coords;
+
+        try {
+            const results = await StoreService.findNearest(latitude, longitude, { categories }, {
+                limit: CONFIG.RADAR.CANDIDATES,
+                signal: this.nearestAbort.signal
+            });
+            results
+                .filter(({ distance }) => distance <= radius)
+                .forEach(({ id, distance }) => {
+                    const store = this.mapController.getStore(id);
+                    if (store && this.proximityAlertService.markAlerted(id)) {
+                        this._alert(store, distance);
+                    }
+                });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('Radar check failed:', error);
+        }
+    }
+
+    async _alert(store, distance) {
+        const category = UIHelpers.getCategory(store.markerColor);
+        const title = I18nService.t('RADAR_ALERT_TITLE', { category: I18nService.t(category.LABEL_KEY) });
+        const body = I18nService.t('RADAR_ALERT_BODY', {
+            name: store.name,
+            distance: UIHelpers.formatDistance(distance)
+        });
+        const hash = UrlStateService.toHash({
+            view: { center: [store.latitude, store.longitude], zoom: CONFIG.SEARCH.FOCUS_ZOOM },
+            storeId: store.id
+        });
+        const url = window.location.origin + window.location.pathname + window.location.search + hash;
+
+        const isNotified = await this.proximityAlertService.notify({ title, body, storeId: store.id, url });
+        if (!isNotified) {
+            this.notificationService.showAction(
+                `${title} ${body}`,
+                I18nService.t('RADAR_SHOW'),
+                () => this.mapController.focusStore(store.id)
+            );
+        }
+    }
+
+    async _handleChange(e) {
+        const { field } = e.target.dataset;
+        const settings = this.proximityAlertService.settings;
+
+        if (field === 'enabled') {
+            const enabled = e.target.checked;
+            this.proximityAlertService.update({ enabled });
+            if (enabled) {
+                // Asked while handling the click; without permission alerts show as toasts
+                await this.proximityAlertService.requestPermission();
+                if (!this.locationService.lastPosition) {
+                    this.mapController.locateUser(true, false);
+                } else {
+                    this.check(this.locationService.lastPosition);
+                }
+            }
+        } else if (field === 'category') {
+            const categories = Array.from(this.form.querySelectorAll('[data-field="category"]:checked'))
+                .map(input => input.value);
+            this.proximityAlertService.update({ categories });
+        } else if (field === 'radius') {
+            this.proximityAlertService.update({ radius: Number(e.target.value) });
+        } else if (field === 'quiet-enabled' || field === 'quiet-start' || field === 'quiet-end') {
+            this.proximityAlertService.update({
+                quietHours: {
+                    enabled: this.form.querySelector('[data-field="quiet-enabled"]').checked,
+                    start: this.form.querySelector('[data-field="quiet-start"]').value || settings.quietHours.start,
+                    end: this.form.querySelector('[data-field="quiet-end"]').value || settings.quietHours.end
+                }
+            });
+        }
+        this._syncState();
+    }
+
+    // Marks the panel while the radar is on, so it shows even when collapsed
+    _syncState() {
+        if (!this.container) return;
+        const { enabled, quietHours } = this.proximityAlertService.settings;
+        this.container.classList.toggle('is-active', enabled);
+        this.form.querySelectorAll('[data-field="quiet-start"], [data-field="quiet-end"]').forEach(input => {
+            input.disabled = !quietHours.enabled;
+        });
+    }
+}
@@ -0,0 +1,114 @@
+import { CONFIG } from '../config.js';
+import { StoreService } from '../services/StoreService.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls the county / district picker
+ * Choosing a region limits the markers to it and fits the map to its stores;
+ * counts follow the other filters, so each option shows how many stores it would leave
+ */
+export class RegionController {
+    constructor(mapController, filterService) {
+        this.mapController = mapController;
+        this.filterService = filterService;
+        this.elements = {};
+        this.regions = []; // From StoreService.getRegions
+        this.regionsAbort = null; // Cancels stale counts when filters change quickly
+    }
+
+    init() {
+        const regionControl = L.control({ position: 'topleft' });
+
+        regionControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'region-picker leaflet-bar leaflet-control');
+            container.innerHTML = UIHelpers.createRegionPickerContent();
+            this.elements = {
+                county: container.querySelector('[data-field="county"]'),
+                district: container.querySelector('[data-field="district"]'),
+                summary: container.querySelector('.region-summary')
+            };
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            this.elements.county.addEventListener('change', (e) => this.selectRegion(e.target.value, ''));
+            this.elements.district.addEventListener('change', (e) => {
+                this.selectRegion(this.elements.county.value, e.target.value);
+            });
+            return container;
+        };
+
+        regionControl.addTo(this.mapController.map);
+        this._render();
+
+        this.filterService.on('change', () => this.refresh());
+    }
+
+    /**
+     * Filters the map to a region and fits the view to its stores
+     * @param {string} county - Empty for every region
+     * @param {string} district - Empty for the whole county
+     */
+    selectRegion(county, district) {
+        this.filterService.setRegion(county ? { county, district } : null);
+
+        const region = this._findRegion(county, district);
+        if (region && region.total > 0) {
+            const { north, south, east, west } = region.bounds;
+            this.mapController.map.fitBounds([[south, west], [north, east]], {
+                padding: CONFIG.REGION.FIT_PADDING,
+                maxZoom: CONFIG.REGION.FIT_MAX_ZOOM
+            });
+        }
+    }
+
+    /**
+     * Recounts stores per region for the current filters
+     * Called on filter changes and whenever a dataset is shown
+     */
+    async refresh() {
+        if (this.regionsAbort) this.regionsAbort.abort();
+        this.regionsAbort = new AbortController();
+
+        try {
+            this.regions = await StoreService.getRegions(this.filterService.criteria, { signal: this.regionsAbort.signal });
+            this._render();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('Region counts failed:', error);
+        }
+    }
+
+    _findRegion(county, district) {
+        const countyRegion = this.regions.find(region => region.county === county);
+        if (!countyRegion || !district) return countyRegion || null;
+        return countyRegion.districts.find(region => region.district === district) || null;
+    }
+
+    _render() {
+        if (!this.elements.county) return;
+
+        const { county, district } = this.filterService.criteria.region || { county: '', district: '' };
+        const countyRegion = this._findRegion(county, '');
+
+        this.elements.county.innerHTML = UIHelpers.createRegionOptions(
+            this.regions.map(region => ({ name: region.county, total: region.total })),
+            county,
+            I18nService.t('REGION_ALL_COUNTIES')
+        );
+        this.elements.district.innerHTML = UIHelpers.createRegionOptions(
+            countyRegion ? countyRegion.districts.map(region => ({ name: region.district, total: region.total })) : [],
+            district,
+            I18nService.t('REGION_ALL_DISTRICTS')
+        );
+        this.elements.district.disabled = !county;
+
+        const selected = county ? this._findRegion(county, district) : null;
+        this.elements.summary.hidden = !selected;
+        this.elements.summary.innerHTML = selected ? `
+            <div class="region-total">${UIHelpers.escapeHtml(I18nService.t('REGION_TOTAL', { count: selected.total }))}</div>
+            ${UIHelpers.createClusterBreakdownContent(selected.categories)}
+        ` : '';
+    }
+}
@@ -0,0 +1,158 @@
+import { CONFIG } from '../config.js';
+import { StoreService } from '../services/StoreService.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { EventEmitter } from '../helpers/EventEmitter.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls the store search box
+ * Matching runs in the store worker; this class only handles input and results
+ * Emits 'querychange' with the trimmed query as the user types
+ */
+export class SearchController extends EventEmitter {
+    constructor(mapController, filterService) {
+        super();
+        this.mapController = mapController;
+        this.filterService = filterService;
+        this.input = null;
+        this.resultsList = null;
+        this.container = null;
+        this.debounceTimer = null;
+        this.searchAbort = null; // Cancels the worker query the user has typed past
+        this.activeIndex = -1;
+    }
+
+    /**
+     * Adds the search control to the map
+     */
+    init() {
+        const searchControl = L.control({ position: 'topright' });
+
+        searchControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'store-search leaflet-control');
+            container.id = CONFIG.UI.SEARCH_CONTROL_ID;
+            container.innerHTML = `
+                <input type="search" class="store-search-input" autocomplete="off"
+                       placeholder="${UIHelpers.escapeHtml(I18nService.t('SEARCH_PLACEHOLDER'))}"
+                       aria-label="${UIHelpers.escapeHtml(I18nService.t('SEARCH_PLACEHOLDER'))}">
+                <ul class="store-search-results" role="listbox"></ul>
+            `;
+            this.container = container;
+            this.input = container.querySelector('.store-search-input');
+            this.resultsList = container.querySelector('.store-search-results');
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            this.input.addEventListener('input', () => {
+                this.emit('querychange', this.query);
+                this._scheduleSearch();
+            });
+            this.input.addEventListener('keydown', (e) => this._handleKeydown(e));
+            this.resultsList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-store-id]');
+                if (item) {
+                    this._select(item.dataset.storeId);
+                }
+            });
+
+            return container;
+        };
+
+        searchControl.addTo(this.mapController.map);
+
+        // Results depend on the filter, so refresh them when it changes
+        this.filterService.on('change', () => {
+            if (this.input && this.input.value.trim()) {
+                this._runSearch();
+            }
+        });
+    }
+
+    get query() {
+        return this.input ? this.input.value.trim() : '';
+    }
+
+    /**
+     * Fills the search box and runs the search, e.g. when restoring a shared link
+     * @param {string} query 
+     */
+    setQuery(query) {
+        if (!this.input) return;
+        this.input.value = query;
+        this.emit('querychange', this.query);
+        this._runSearch();
+    }
+
+    _scheduleSearch() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this._runSearch(), CONFIG.SEARCH.DEBOUNCE);
+    }
+
+    async _runSearch() {
+        const query = this.input.value.trim();
+        if (this.searchAbort) this.searchAbort.abort();
+        this.searchAbort = new AbortController();
+        const { signal } = this.searchAbort;
+
+        if (!query) {
+            this._close();
+            return;
+        }
+
+        try {
+            const storeIds = await StoreService.search(query, this.filterService.criteria, { signal });
+
+            const stores = storeIds
+                .map(id => this.mapController.getStore(id))
+                .filter(Boolean);
+            this._renderResults(stores);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('Store search failed:', error);
+        }
+    }
+
+    _renderResults(stores) {
+        this.activeIndex = -1;
+        this.resultsList.innerHTML = UIHelpers.createSearchResultsContent(stores);
+        this.container.classList.add(CONFIG.UI.CSS_CLASSES.SEARCH_OPEN);
+    }
+
+    _handleKeydown(e) {
+        const items = Array.from(this.resultsList.querySelectorAll('[data-store-id]'));
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (items.length === 0) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + items.length) % items.length;
+            items.forEach((item, index) => {
+                item.classList.toggle(CONFIG.UI.CSS_CLASSES.SEARCH_RESULT_ACTIVE, index === this.activeIndex);
+            });
+            items[this.activeIndex].scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            const item = items[Math.max(this.activeIndex, 0)];
+            if (item) {
+                e.preventDefault();
+                this._select(item.dataset.storeId);
+            }
+        } else if (e.key === 'Escape') {
+            this.input.value = '';
+            this.emit('querychange', '');
+            this._close();
+        }
+    }
+
+    _select(storeId) {
+        this._close();
+        this.input.blur(); // Hide the on-screen keyboard on mobile
+        this.mapController.focusStore(storeId);
+    }
+
+    _close() {
+        this.activeIndex = -1;
+        this.resultsList.innerHTML = '';
+        this.container.classList.remove(CONFIG.UI.CSS_CLASSES.SEARCH_OPEN);
+    }
+}
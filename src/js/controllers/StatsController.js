@@ -0,0 +1,104 @@
+import { CONFIG } from '../config.js';
+import { StoreService } from '../services/StoreService.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls the statistics dashboard, a full-screen view over the map
+ * Figures are aggregated in the store worker from the whole dataset, regardless of the map's filters
+ */
+export class StatsController {
+    constructor(mapController, notificationService) {
+        this.mapController = mapController;
+        this.notificationService = notificationService;
+        this.element = null;
+        this.body = null;
+        this.dashboardAbort = null; // Cancels a pending aggregation when the dataset changes
+    }
+
+    /**
+     * Creates the (hidden) dashboard and the map button that opens it
+     */
+    init() {
+        const element = document.createElement('div');
+        element.id = CONFIG.UI.STATS_DASHBOARD_ID;
+        element.className = 'stats-dashboard';
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-hidden', 'true');
+        element.innerHTML = `
+            <header class="stats-header">
+                <h2>${UIHelpers.escapeHtml(I18nService.t('STATS_TITLE'))}</h2>
+                <button type="button" class="stats-close" aria-label="${UIHelpers.escapeHtml(I18nService.t('DETAIL_CLOSE'))}">×</button>
+            </header>
+            <div class="stats-body"></div>
+        `;
+        document.body.appendChild(element);
+
+        this.element = element;
+        this.body = element.querySelector('.stats-body');
+
+        element.querySelector('.stats-close').addEventListener('click', () => this.close());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+
+        this._addStatsControl();
+    }
+
+    get isOpen() {
+        return !!this.element && this.element.classList.contains(CONFIG.UI.CSS_CLASSES.STATS_OPEN);
+    }
+
+    open() {
+        this.element.classList.add(CONFIG.UI.CSS_CLASSES.STATS_OPEN);
+        this.element.setAttribute('aria-hidden', 'false');
+        this.refresh();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.element.classList.remove(CONFIG.UI.CSS_CLASSES.STATS_OPEN);
+        this.element.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * Re-aggregates the loaded dataset
+     * Skipped while the dashboard is closed; opening it refreshes anyway
+     */
+    async refresh() {
+        if (!this.isOpen) return;
+
+        if (this.dashboardAbort) this.dashboardAbort.abort();
+        this.dashboardAbort = new AbortController();
+
+        try {
+            const dashboard = await StoreService.getDashboard({ signal: this.dashboardAbort.signal });
+            this.body.innerHTML = UIHelpers.createStatsDashboardContent(dashboard);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('Statistics failed:', error);
+            this.notificationService.show(I18nService.t('STATS_FAILED'), 'error');
+            this.close();
+        }
+    }
+
+    _addStatsControl() {
+        const statsControl = L.control({ position: 'topleft' });
+
+        statsControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'leaflet-control-stats leaflet-bar leaflet-control');
+            container.title = I18nService.t('STATS_TITLE');
+            container.setAttribute('role', 'button');
+            L.DomUtil.create('div', 'leaflet-control-stats-icon', container);
+
+            L.DomEvent.disableClickPropagation(container);
+            container.onclick = (e) => {
+                e.preventDefault();
+                this.open();
+            };
+            return container;
+        };
+
+        statsControl.addTo(this.mapController.map);
+    }
+}
@@ -0,0 +1,58 @@
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Handles the copy-address, share and "set as my location" buttons in store details
+ * Navigation and call actions are plain links and need no handling
+ */
+export class StoreActionsController {
+    constructor(mapController, deepLinkController, notificationService) {
+        this.mapController = mapController;
+        this.deepLinkController = deepLinkController;
+        this.notificationService = notificationService;
+    }
+
+    init() {
+        this.mapController.on('storeopen', (store, container) => this._bindActions(container));
+    }
+
+    /**
+     * Copies a store's address to the clipboard
+     * @param {Object} store
+     */
+    async copyAddress(store) {
+        try {
+            await navigator.clipboard.writeText(store.address);
+            this.notificationService.show(I18nService.t('ADDRESS_COPIED'), 'info');
+        } catch (error) {
+            console.warn('Copying address failed:', error);
+            this.notificationService.show(I18nService.t('COPY_FAILED'), 'error');
+        }
+    }
+
+    /**
+     * Delegates button clicks from a popup or the bottom sheet
+     * Both elements are reused across opens, so the handler is attached only once
+     * @param {{getElement: function(): HTMLElement}} container
+     */
+    _bindActions(container) {
+        const element = container && container.getElement();
+        if (!element || element.dataset.storeActionsBound) return;
+        element.dataset.storeActionsBound = 'true';
+
+        element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const section = e.target.closest('[data-popup-store-id]');
+            const store = section && this.mapController.getStore(section.dataset.popupStoreId);
+            if (!button || !store) return;
+
+            if (button.dataset.action === 'copy-address') {
+                this.copyAddress(store);
+            } else if (button.dataset.action === 'share-store') {
+                this.deepLinkController.shareStore(store);
+            } else if (button.dataset.action === 'set-location') {
+                this.mapController.setManualLocation(store.latitude, store.longitude, store.name);
+                this.notificationService.show(I18nService.t('MANUAL_LOCATION_SET', { label: store.name }), 'info');
+            }
+        });
+    }
+}
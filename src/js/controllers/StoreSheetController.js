@@ -0,0 +1,108 @@
+import { CONFIG } from '../config.js';
+import { UIHelpers } from '../helpers/UIHelpers.js';
+import { I18nService } from '../services/I18nService.js';
+
+/**
+ * Controls the bottom sheet that replaces Leaflet popups on small screens
+ * Exposes getElement() like L.Popup, so popup action handlers work on both
+ */
+export class StoreSheetController {
+    constructor() {
+        this.element = null;
+        this.body = null;
+        this.onClose = null; // Callback of whoever opened the sheet
+        this.mediaQuery = window.matchMedia(CONFIG.UI.SHEET_MEDIA_QUERY);
+    }
+
+    /**
+     * Creates the (hidden) sheet element
+     */
+    init() {
+        const element = document.createElement('div');
+        element.id = CONFIG.UI.STORE_SHEET_ID;
+        element.className = 'store-sheet';
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-hidden', 'true');
+        element.innerHTML = `
+            <div class="store-sheet-handle"></div>
+            <button type="button" class="store-sheet-close" aria-label="${UIHelpers.escapeHtml(I18nService.t('DETAIL_CLOSE'))}">×</button>
+            <div class="store-sheet-body"></div>
+        `;
+        document.body.appendChild(element);
+
+        this.element = element;
+        this.body = element.querySelector('.store-sheet-body');
+
+        element.querySelector('.store-sheet-close').addEventListener('click', () => this.close());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+        this._initSwipeToClose(element.querySelector('.store-sheet-handle'));
+    }
+
+    /**
+     * @returns {boolean} True when the screen is small enough to prefer the sheet over a popup
+     */
+    get isPreferred() {
+        return this.mediaQuery.matches;
+    }
+
+    get isOpen() {
+        return !!this.element && this.element.classList.contains(CONFIG.UI.CSS_CLASSES.SHEET_OPEN);
+    }
+
+    getElement() {
+        return this.element;
+    }
+
+    /**
+     * Shows content in the sheet, closing whatever it showed before
+     * @param {string} content - HTML
+     * @param {function(): void} onClose - Called once when this content is dismissed
+     */
+    open(content, onClose) {
+        this.close();
+        this.body.innerHTML = content;
+        this.body.scrollTop = 0;
+        this.onClose = onClose;
+        this.element.classList.add(CONFIG.UI.CSS_CLASSES.SHEET_OPEN);
+        this.element.setAttribute('aria-hidden', 'false');
+    }
+
+    /**
+     * Re-renders the open sheet, e.g. after a star toggled
+     * @param {string} content - HTML
+     */
+    setContent(content) {
+        if (this.isOpen) {
+            this.body.innerHTML = content;
+        }
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.element.classList.remove(CONFIG.UI.CSS_CLASSES.SHEET_OPEN);
+        this.element.setAttribute('aria-hidden', 'true');
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose) onClose();
+    }
+
+    /**
+     * Dismisses the sheet when its handle is dragged downwards
+     * @param {HTMLElement} handle
+     */
+    _initSwipeToClose(handle) {
+        let startY = null;
+        handle.addEventListener('touchstart', (e) => {
+            startY = e.touches[0].clientY;
+        }, { passive: true });
+        handle.addEventListener('touchend', (e) => {
+            if (startY !== null && e.changedTouches[0].clientY - startY > CONFIG.UI.SHEET_SWIPE_DISTANCE) {
+                this.close();
+            }
+            startY = null;
+        });
+    }
+}
@@ -0,0 +1,50 @@
+import { TextNormalizer } from './TextNormalizer.js';
+
+// Every county-level name is two characters plus 縣 or 市 (after 臺 -> 台)
+const COUNTY_PATTERN = /^(.{2}[縣市])/;
+// Cities (市) are divided into 區; counties (縣) into 市, 鎮 and 鄉
+// Lazy match, so 平鎮區 in a city still ends at 區, not at the 鎮 inside it
+const CITY_DISTRICT_PATTERN = /^(.{1,3}?區)/;
+const COUNTY_DISTRICT_PATTERN = /^(.{1,3}?[市鎮鄉])/;
+// Village (里 / 村) and neighbourhood (鄰) often sit between district and road;
+// the lookahead keeps roads like 美村路 intact
+const VILLAGE_PATTERN = /^[^\d路街巷]{1,3}[里村](?![路街巷大])/;
+const NEIGHBOURHOOD_PATTERN = /^\d+鄰/;
+const ROAD_PATTERN = /^(.+?(?:大道|路|街))/;
+
+/**
+ * Splits Taiwanese store addresses into county, district and road
+ * e.g. '臺中市中區公園路４２號' -> { county: '台中市', district: '中區', road: '公園路' }
+ * Parts that cannot be recognized are returned as empty strings
+ * Pure and DOM-free so the store worker can run it
+ */
+export class AddressParser {
+    /**
+     * @param {string} address
+     * @returns {{county: string, district: string, road: string}}
+     */
+    static parse(address) {
+        // Normalized: 臺 -> 台, full-width digits, and a leading postal code dropped
+        let rest = TextNormalizer.normalize(address).replace(/\s/g, '').replace(/^\d{3,6}/, '');
+        const result = { county: '', district: '', road: '' };
+
+        const county = rest.match(COUNTY_PATTERN);
+        if (!county) return result;
+        result.county = county[1];
+        rest = rest.slice(county[1].length);
+
+        const districtPattern = result.county.endsWith('市') ? CITY_DISTRICT_PATTERN : COUNTY_DISTRICT_PATTERN;
+        const district = rest.match(districtPattern);
+        if (!district) return result;
+        result.district = district[1];
+        rest = rest.slice(district[1].length)
+            .replace(VILLAGE_PATTERN, '')
+            .replace(NEIGHBOURHOOD_PATTERN, '');
+
+        const road = rest.match(ROAD_PATTERN);
+        if (road) {
+            result.road = road[1];
+        }
+        return result;
+    }
+}
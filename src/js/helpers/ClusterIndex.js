@@ -0,0 +1,211 @@
+/**
+ * Hierarchical point clustering for one set of map locations
+ * Clusters are precomputed per zoom level, greedily merging points within a pixel radius,
+ * then looked up by bounding box through a grid index on each level
+ * Pure and DOM-free so the store worker can run it
+ */
+
+// Positions are kept in Web Mercator world units: x and y both in [0, 1]
+const lngToX = lng => lng / 360 + 0.5;
+const latToY = lat => {
+    const sin = Math.sin(lat * Math.PI / 180);
+    const y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI;
+    return Math.min(Math.max(y, 0), 1);
+};
+const yToLat = y => 360 * Math.atan(Math.exp((1 - y * 2) * Math.PI)) / Math.PI - 90;
+const xToLng = x => (x - 0.5) * 360;
+
+/**
+ * Buckets items on a square grid for radius and range lookups
+ */
+class GridIndex {
+    constructor(items, cellSize) {
+        this.items = items;
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        items.forEach((item, index) => {
+            const key = this._key(Math.floor(item.x / cellSize), Math.floor(item.y / cellSize));
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push(index);
+        });
+    }
+
+    // Numeric keys: cell coordinates stay far below 2^26 at the zooms a map uses
+    _key(cx, cy) {
+        return cx * 67108864 + cy;
+    }
+
+    /**
+     * @returns {Array<number>} Indexes of items inside the box
+     */
+    range(minX, minY, maxX, maxY) {
+        const result = [];
+        const size = this.cellSize;
+        for (let cx = Math.floor(minX / size); cx <= Math.floor(maxX / size); cx++) {
+            for (let cy = Math.floor(minY / size); cy <= Math.floor(maxY / size); cy++) {
+                (this.cells.get(this._key(cx, cy)) || []).forEach(index => {
+                    const item = this.items[index];
+                    if (item.x >= minX && item.x <= maxX && item.y >= minY && item.y <= maxY) {
+                        result.push(index);
+                    }
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @returns {Array<number>} Indexes of items within radius of a point
+     */
+    within(x, y, radius) {
+        const r2 = radius * radius;
+        return this.range(x - radius, y - radius, x + radius, y + radius).filter(index => {
+            const item = this.items[index];
+            const dx = item.x - x;
+            const dy = item.y - y;
+            return dx * dx + dy * dy <= r2;
+        });
+    }
+}
+
+export class ClusterIndex {
+    /**
+     * @param {Array<{id: string, latitude: number, longitude: number, categories: Object<string, number>}>} points
+     *     categories counts what the point stands for (e.g. stores per category at one location)
+     * @param {Object} options
+     * @param {number} options.radius - Cluster radius in screen pixels
+     * @param {number} options.minZoom
+     * @param {number} options.maxZoom - Deepest zoom that still clusters; points stand alone beyond it
+     * @param {number} [options.tileSize] - Pixels per world tile at zoom 0
+     */
+    constructor(points, { radius, minZoom, maxZoom, tileSize = 256 }) {
+        this.radius = radius;
+        this.minZoom = minZoom;
+        this.maxZoom = maxZoom;
+        this.tileSize = tileSize;
+        this.levels = [];
+        this.pointIds = new Set(points.map(point => point.id));
+        this.splitZooms = new Map(); // point id -> first zoom where it is no longer in a cluster
+        this.nextClusterId = 0;
+
+        let items = points.map(point => ({
+            x: lngToX(point.longitude),
+            y: latToY(point.latitude),
+            count: Object.values(point.categories).reduce((sum, count) => sum + count, 0),
+            categories: point.categories,
+            pointIds: [point.id],
+            point
+        }));
+        this.levels[maxZoom + 1] = new GridIndex(items, this._radiusAt(maxZoom + 1));
+
+        for (let zoom = maxZoom; zoom >= minZoom; zoom--) {
+            items = this._clusterLevel(items, zoom);
+            this.levels[zoom] = new GridIndex(items, this._radiusAt(zoom));
+        }
+    }
+
+    /**
+     * Lists clusters and lone points inside a box at a zoom level
+     * @param {{north: number, south: number, east: number, west: number}} bounds
+     * @param {number} zoom
+     * @returns {Array<Object>} {type: 'cluster', id, latitude, longitude, count, categories, expansionZoom}
+     *     or {type: 'point', id, latitude, longitude}; count sums the categories of the points inside
+     */
+    getClusters({ north, south, east, west }, zoom) {
+        const level = this.levels[this._clampZoom(zoom)];
+        const indexes = level.range(lngToX(west), latToY(north), lngToX(east), latToY(south));
+        return indexes.map(index => this._toFeature(level.items[index]));
+    }
+
+    /**
+     * @param {string} pointId
+     * @returns {number|null} Lowest zoom at which the point is shown on its own, or null if unknown
+     */
+    getSplitZoom(pointId) {
+        if (!this.pointIds.has(pointId)) return null;
+        return this.splitZooms.has(pointId) ? this.splitZooms.get(pointId) : this.minZoom;
+    }
+
+    _clampZoom(zoom) {
+        return Math.max(this.minZoom, Math.min(Math.floor(zoom), this.maxZoom + 1));
+    }
+
+    // Radius in world units at a zoom level
+    _radiusAt(zoom) {
+        return this.radius / (this.tileSize * Math.pow(2, zoom));
+    }
+
+    /**
+     * Merges the items of the level below (zoom + 1) into this level's clusters
+     * Items with no neighbours carry over unchanged, keeping their ids stable across zooms
+     */
+    _clusterLevel(items, zoom) {
+        const grid = new GridIndex(items, this._radiusAt(zoom));
+        const radius = this._radiusAt(zoom);
+        const done = new Uint8Array(items.length);
+        const result = [];
+
+        items.forEach((item, index) => {
+            if (done[index]) return;
+            done[index] = 1;
+
+            const neighbours = grid.within(item.x, item.y, radius).filter(other => !done[other]);
+            if (neighbours.length === 0) {
+                result.push(item);
+                return;
+            }
+
+            // Weighted centroid keeps big clusters from drifting towards small neighbours
+            const members = [item, ...neighbours.map(other => items[other])];
+            neighbours.forEach(other => { done[other] = 1; });
+
+            const cluster = {
+                x: 0,
+                y: 0,
+                count: 0,
+                categories: {},
+                pointIds: [],
+                id: `c${this.nextClusterId++}`,
+                expansionZoom: zoom + 1
+            };
+            members.forEach(member => {
+                cluster.x += member.x * member.count;
+                cluster.y += member.y * member.count;
+                cluster.count += member.count;
+                Object.entries(member.categories).forEach(([category, count]) => {
+                    cluster.categories[category] = (cluster.categories[category] || 0) + count;
+                });
+                member.pointIds.forEach(id => {
+                    cluster.pointIds.push(id);
+                    // Walking down from the deepest zoom, the first merge is the last zoom it is clustered at
+                    if (!this.splitZooms.has(id)) this.splitZooms.set(id, zoom + 1);
+                });
+            });
+            cluster.x /= cluster.count;
+            cluster.y /= cluster.count;
+            result.push(cluster);
+        });
+
+        return result;
+    }
+
+    _toFeature(item) {
+        if (item.point) {
+            return {
+                type: 'point',
+                id: item.point.id,
+                latitude: item.point.latitude,
+                longitude: item.point.longitude
+            };
+        }
+        return {
+            type: 'cluster',
+            id: item.id,
+            latitude: yToLat(item.y),
+            longitude: xToLng(item.x),
+            count: item.count,
+            categories: item.categories,
+            expansionZoom: item.expansionZoom
+        };
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * Compares two store datasets by store ID
+ * Categories are split into two traits (dual flavor, special shape) so a change
+ * can be classified as an upgrade (only gained traits) or downgrade (only lost traits)
+ */
+export class DatasetDiff {
+    /**
+     * @param {Array<{id: string, markerColor: string}>} previousStores 
+     * @param {Array<{id: string, markerColor: string}>} currentStores 
+     * @returns {{added: Array<string>, removed: Array<Object>, upgraded: Array<Object>, downgraded: Array<Object>, changed: Array<Object>}}
+     *          added holds IDs; removed holds the previous store entries;
+     *          upgraded/downgraded/changed hold { id, from, to } marker colors
+     */
+    static compare(previousStores, currentStores) {
+        const previousById = new Map(previousStores.map(store => [store.id, store]));
+        const currentIds = new Set();
+        const result = { added: [], removed: [], upgraded: [], downgraded: [], changed: [] };
+
+        currentStores.forEach(store => {
+            currentIds.add(store.id);
+            const previous = previousById.get(store.id);
+
+            if (!previous) {
+                result.added.push(store.id);
+                return;
+            }
+            if (previous.markerColor === store.markerColor) return;
+
+            const change = { id: store.id, from: previous.markerColor, to: store.markerColor };
+            const kind = this.classifyChange(previous.markerColor, store.markerColor);
+            result[kind].push(change);
+        });
+
+        previousStores.forEach(store => {
+            if (!currentIds.has(store.id)) {
+                result.removed.push(store);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * @param {string} from - Previous marker color
+     * @param {string} to - Current marker color
+     * @returns {'upgraded'|'downgraded'|'changed'}
+     */
+    static classifyChange(from, to) {
+        const before = this._traits(from);
+        const after = this._traits(to);
+        const gained = (after.dual && !before.dual) || (after.shape && !before.shape);
+        const lost = (before.dual && !after.dual) || (before.shape && !after.shape);
+
+        if (gained && !lost) return 'upgraded';
+        if (lost && !gained) return 'downgraded';
+        return 'changed';
+    }
+
+    /**
+     * @param {Object} diff - Result of compare()
+     * @returns {boolean}
+     */
+    static isEmpty(diff) {
+        return ['added', 'removed', 'upgraded', 'downgraded', 'changed'].every(key => diff[key].length === 0);
+    }
+
+    static _traits(markerColor) {
+        const color = markerColor || '';
+        return { dual: color.includes('red'), shape: color.includes('striped') };
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Minimal publish/subscribe base class
+ * Lets services notify controllers without holding references to them
+ */
+export class EventEmitter {
+    constructor() {
+        this._listeners = {};
+    }
+
+    /**
+     * Registers a listener
+     * @param {string} event 
+     * @param {Function} handler 
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        if (!this._listeners[event]) {
+            this._listeners[event] = [];
+        }
+        this._listeners[event].push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Removes a previously registered listener
+     * @param {string} event 
+     * @param {Function} handler 
+     */
+    off(event, handler) {
+        const handlers = this._listeners[event];
+        if (!handlers) return;
+        this._listeners[event] = handlers.filter(h => h !== handler);
+    }
+
+    /**
+     * Notifies all listeners of an event
+     * @param {string} event 
+     * @param {...*} args 
+     */
+    emit(event, ...args) {
+        const handlers = this._listeners[event];
+        if (!handlers) return;
+        handlers.slice().forEach(handler => handler(...args));
+    }
+}
@@ -0,0 +1,40 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Geographic math shared by the main thread and the store worker
+ */
+export class GeoUtils {
+    /**
+     * Great-circle distance between two points (haversine)
+     * @param {number} lat1 
+     * @param {number} lng1 
+     * @param {number} lat2 
+     * @param {number} lng2 
+     * @returns {number} Distance in meters
+     */
+    static distance(lat1, lng1, lat2, lng2) {
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLng = toRad(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 +
+                  Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+    }
+
+    /**
+     * Initial bearing from the first point towards the second
+     * @param {number} lat1 
+     * @param {number} lng1 
+     * @param {number} lat2 
+     * @param {number} lng2 
+     * @returns {number} Degrees clockwise from north, 0-360
+     */
+    static bearing(lat1, lng1, lat2, lng2) {
+        const toRad = deg => deg * Math.PI / 180;
+        const dLng = toRad(lng2 - lng1);
+        const y = Math.sin(dLng) * Math.cos(toRad(lat2));
+        const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+                  Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLng);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Density heatmap drawn on a canvas over the map
+ * Each point stamps a blurred circle whose opacity follows its weight; the summed opacity is
+ * then colored through a gradient, so overlapping points read as hotter areas
+ * Redraws itself after every map move; only points in view are drawn
+ */
+export class HeatmapLayer {
+    /**
+     * @param {Object} options
+     * @param {number} options.radius - Circle radius in pixels
+     * @param {number} options.blur - Blur added around each circle in pixels
+     * @param {number} options.intensity - Opacity contributed by a point of weight 1
+     * @param {Object<number, string>} options.gradient - Colors by density, from 0 to 1
+     */
+    constructor({ radius, blur, intensity, gradient }) {
+        this.radius = radius;
+        this.blur = blur;
+        this.intensity = intensity;
+        this.map = null;
+        this.canvas = null;
+        this.points = []; // [latitude, longitude, weight]
+        this.brush = this._createBrush();
+        this.palette = this._createPalette(gradient);
+        this._redraw = this._redraw.bind(this);
+        this._hide = this._hide.bind(this);
+    }
+
+    /**
+     * @param {L.Map} map
+     * @returns {HeatmapLayer}
+     */
+    addTo(map) {
+        if (this.map) return this;
+        this.map = map;
+        this.canvas = L.DomUtil.create('canvas', 'heatmap-layer leaflet-zoom-hide', map.getPane('overlayPane'));
+        map.on('moveend resize', this._redraw);
+        // The canvas is not scaled during zoom animations; it is hidden and drawn again afterwards
+        map.on('zoomstart', this._hide);
+        this._redraw();
+        return this;
+    }
+
+    remove() {
+        if (!this.map) return;
+        this.map.off('moveend resize', this._redraw);
+        this.map.off('zoomstart', this._hide);
+        L.DomUtil.remove(this.canvas);
+        this.map = null;
+        this.canvas = null;
+    }
+
+    /**
+     * @param {Array<Array<number>>} points - [latitude, longitude, weight]
+     */
+    setPoints(points) {
+        this.points = points;
+        this._redraw();
+    }
+
+    _hide() {
+        if (this.canvas) this.canvas.style.visibility = 'hidden';
+    }
+
+    _redraw() {
+        if (!this.map) return;
+
+        const size = this.map.getSize();
+        const canvas = this.canvas;
+        canvas.width = size.x;
+        canvas.height = size.y;
+        L.DomUtil.setPosition(canvas, this.map.containerPointToLayerPoint([0, 0]));
+        canvas.style.visibility = '';
+        if (size.x === 0 || size.y === 0) return;
+
+        const context = canvas.getContext('2d');
+        const reach = this.radius + this.blur;
+        const bounds = this.map.getBounds().pad(reach / Math.min(size.x, size.y));
+        this.points.forEach(([latitude, longitude, weight]) => {
+            if (!bounds.contains([latitude, longitude])) return;
+            const point = this.map.latLngToContainerPoint([latitude, longitude]);
+            context.globalAlpha = Math.min(weight * this.intensity, 1);
+            context.drawImage(this.brush, point.x - reach, point.y - reach);
+        });
+
+        const image = context.getImageData(0, 0, size.x, size.y);
+        const pixels = image.data;
+        for (let i = 3; i < pixels.length; i += 4) {
+            const offset = pixels[i] * 4;
+            if (!offset) continue;
+            pixels[i - 3] = this.palette[offset];
+            pixels[i - 2] = this.palette[offset + 1];
+            pixels[i - 1] = this.palette[offset + 2];
+        }
+        context.putImageData(image, 0, 0);
+    }
+
+    // A black circle with a soft edge; drawn far off-canvas so only its shadow lands on the brush
+    _createBrush() {
+        const brush = document.createElement('canvas');
+        const reach = this.radius + this.blur;
+        brush.width = brush.height = reach * 2;
+
+        const context = brush.getContext('2d');
+        context.shadowOffsetX = context.shadowOffsetY = reach * 2;
+        context.shadowBlur = this.blur;
+        context.shadowColor = 'black';
+        context.beginPath();
+        context.arc(-reach, -reach, this.radius, 0, Math.PI * 2, true);
+        context.closePath();
+        context.fill();
+        return brush;
+    }
+
+    // 256 RGBA entries, indexed by the summed opacity of a pixel
+    _createPalette(gradient) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 256;
+
+        const context = canvas.getContext('2d');
+        const fill = context.createLinearGradient(0, 0, 0, 256);
+        Object.entries(gradient).forEach(([stop, color]) => fill.addColorStop(Number(stop), color));
+        context.fillStyle = fill;
+        context.fillRect(0, 0, 1, 256);
+        return context.getImageData(0, 0, 1, 256).data;
+    }
+}
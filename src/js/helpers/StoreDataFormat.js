@@ -0,0 +1,51 @@
+// Column order of the compact format written by the data pipeline
+export const STORE_DATA_KEYS = ['NAME', 'px', 'py', 'addr', 'TEL', 'flavorType', 'markerColor'];
+
+/**
+ * Reads and writes the stores.json formats
+ * Shared by the store worker and the Node data scripts
+ */
+export class StoreDataFormat {
+    /**
+     * Expands either the compact format ({ last_updated, keys, data }) or the legacy array format
+     * @param {Object|Array} rawData - Parsed stores.json
+     * @returns {{lastUpdated: string, records: Array<Object>}} Records keyed by the raw field names (NAME, px, py, ...)
+     */
+    static parse(rawData) {
+        // Check if data is in optimized format (Object with keys/data) or legacy format (Array)
+        if (rawData && rawData.keys && Array.isArray(rawData.data)) {
+            const keys = rawData.keys;
+            const records = rawData.data.map(row => {
+                // Map array back to object
+                const record = {};
+                keys.forEach((key, index) => {
+                    record[key] = row[index];
+                });
+                return record;
+            });
+            return { lastUpdated: rawData.last_updated || '', records };
+        }
+
+        if (Array.isArray(rawData)) {
+            // Legacy Format (for backward compatibility or if update failed)
+            const lastUpdated = rawData.length > 0 && rawData[0].last_updated ? rawData[0].last_updated : '';
+            return { lastUpdated, records: rawData };
+        }
+
+        throw new Error('Invalid data format');
+    }
+
+    /**
+     * Packs records into the compact format the worker expects
+     * @param {Array<Object>} records - Records keyed by STORE_DATA_KEYS
+     * @param {string} lastUpdated - e.g. '2026-02-07 19:19:20'
+     * @returns {{last_updated: string, keys: Array<string>, data: Array<Array>}}
+     */
+    static serialize(records, lastUpdated) {
+        return {
+            last_updated: lastUpdated,
+            keys: STORE_DATA_KEYS,
+            data: records.map(record => STORE_DATA_KEYS.map(key => record[key] ?? ''))
+        };
+    }
+}
@@ -0,0 +1,117 @@
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Phone numbers and plain numbers, e.g. +886-2-2345-6789 or -12.5
+const PLAIN_NUMBER = /^[+-]?[\d\s().#-]+$/;
+
+/**
+ * Writes normalized stores as files other tools can open: GeoJSON, KML (Google My Maps),
+ * GPX waypoints (OsmAnd) and CSV (spreadsheets)
+ * DOM-free so the store worker can run it; category labels come translated from the main thread
+ */
+export class StoreExporter {
+    /**
+     * @param {Array<Object>} stores - Normalized store objects
+     * @param {string} format - A CONFIG.EXPORT.FORMATS ID
+     * @param {{title: string, labels: Object<string, string>}} options - Document title and a label per markerColor
+     * @returns {string} File contents
+     */
+    static write(stores, format, { title, labels }) {
+        const rows = stores.map(store => ({
+            name: store.name,
+            latitude: store.latitude,
+            longitude: store.longitude,
+            address: store.address,
+            phone: store.phone,
+            category: labels[store.markerColor] || store.markerColor,
+            categoryId: store.markerColor
+        }));
+
+        switch (format) {
+            case 'geojson':
+                return this._toGeoJson(rows);
+            case 'kml':
+                return this._toKml(rows, title);
+            case 'gpx':
+                return this._toGpx(rows, title);
+            case 'csv':
+                return this._toCsv(rows);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    static _toGeoJson(rows) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: rows.map(({ latitude, longitude, ...properties }) => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [longitude, latitude] },
+                properties
+            }))
+        }, null, 2);
+    }
+
+    static _toKml(rows, title) {
+        const placemarks = rows.map(row => `
+    <Placemark>
+      <name>${this._escapeXml(row.name)}</name>
+      <description>${this._escapeXml(this._describe(row))}</description>
+      <ExtendedData>
+        <Data name="address"><value>${this._escapeXml(row.address)}</value></Data>
+        <Data name="phone"><value>${this._escapeXml(row.phone)}</value></Data>
+        <Data name="category"><value>${this._escapeXml(row.category)}</value></Data>
+      </ExtendedData>
+      <Point><coordinates>${row.longitude},${row.latitude}</coordinates></Point>
+    </Placemark>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${this._escapeXml(title)}</name>${placemarks}
+  </Document>
+</kml>
+`;
+    }
+
+    // Waypoint <type> becomes the category folder in OsmAnd
+    static _toGpx(rows, title) {
+        const waypoints = rows.map(row => `
+  <wpt lat="${row.latitude}" lon="${row.longitude}">
+    <name>${this._escapeXml(row.name)}</name>
+    <desc>${this._escapeXml(this._describe(row))}</desc>
+    <type>${this._escapeXml(row.category)}</type>
+  </wpt>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${this._escapeXml(title)}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${this._escapeXml(title)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>${waypoints}
+</gpx>
+`;
+    }
+
+    // Starts with a byte order mark so spreadsheet apps read the Chinese text as UTF-8
+    // Text starting like a formula, unless it is a plain number, gets a leading apostrophe so spreadsheets show it instead of running it
+    static _toCsv(rows) {
+        const columns = ['name', 'latitude', 'longitude', 'address', 'phone', 'category', 'categoryId'];
+        const quote = value => {
+            const raw = String(value ?? '');
+            const isFormula = typeof value === 'string' && FORMULA_PREFIX.test(raw) && !PLAIN_NUMBER.test(raw);
+            const text = isFormula ? `'${raw}` : raw;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [columns.join(','), ...rows.map(row => columns.map(column => quote(row[column])).join(','))];
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    }
+
+    static _describe({ address, phone, category }) {
+        return [category, address, phone].filter(Boolean).join('\n');
+    }
+
+    static _escapeXml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * Pure filter predicates for normalized store objects
+ * Kept free of DOM and Leaflet so the same rules can run anywhere
+ */
+export class StoreFilter {
+    /**
+     * Builds a predicate for a filter, precomputing lookups for loops over every store
+     * @param {Object} filter - Filter criteria ({ categories, favoriteIds, region })
+     *     region is {county, district}; an empty district means the whole county
+     * @returns {function(Object): boolean}
+     */
+    static compile(filter) {
+        if (!filter) return () => true;
+
+        const categories = Array.isArray(filter.categories) ? new Set(filter.categories) : null;
+        const favoriteIds = filter.favoriteIds ? new Set(filter.favoriteIds) : null;
+        const region = filter.region && filter.region.county ? filter.region : null;
+
+        return store => {
+            if (categories && !categories.has(store.markerColor)) return false;
+            if (favoriteIds && !favoriteIds.has(store.id)) return false;
+            if (region && store.county !== region.county) return false;
+            if (region && region.district && store.district !== region.district) return false;
+            return true;
+        };
+    }
+
+    /**
+     * Checks whether a single store passes the given filter
+     * @param {Object} store - Normalized store object
+     * @param {Object} filter - Filter criteria ({ categories, favoriteIds, region })
+     * @returns {boolean}
+     */
+    static matches(store, filter) {
+        return this.compile(filter)(store);
+    }
+}
@@ -0,0 +1,165 @@
+import { TextNormalizer } from './TextNormalizer.js';
+
+// Bounding boxes for Taiwan and the outlying islands with stores ([minLat, maxLat, minLng, maxLng])
+const TAIWAN_BOUNDS = [
+    [21.85, 25.35, 119.30, 122.05], // Main island, Penghu, Green Island, Orchid Island
+    [24.35, 24.56, 118.10, 118.50], // Kinmen
+    [25.90, 26.40, 119.85, 120.55]  // Matsu
+];
+
+// Area code, dash, local number; 9-10 digits in total (e.g. 02-23456789, 089-123456)
+const PHONE_PATTERN = /^0\d{1,3}-\d{6,8}$/;
+
+/**
+ * Validation rules for raw store records
+ * 'error' rows are rejected; 'warning' rows are kept but reported as suspicious
+ * messageKey names the rule's text in the locale bundles
+ */
+export const VALIDATION_RULES = {
+    MISSING_NAME: { severity: 'warning', messageKey: 'DATA_ISSUE_MISSING_NAME' },
+    MISSING_COORDINATES: { severity: 'error', messageKey: 'DATA_ISSUE_MISSING_COORDINATES' },
+    OUT_OF_BOUNDS: { severity: 'error', messageKey: 'DATA_ISSUE_OUT_OF_BOUNDS' },
+    DUPLICATE_NAME: { severity: 'warning', messageKey: 'DATA_ISSUE_DUPLICATE_NAME' },
+    SWAPPED_COORDINATES: { severity: 'warning', messageKey: 'DATA_ISSUE_SWAPPED_COORDINATES' },
+    COLOR_MISMATCH: { severity: 'warning', messageKey: 'DATA_ISSUE_COLOR_MISMATCH' },
+    UNKNOWN_FLAVOR: { severity: 'warning', messageKey: 'DATA_ISSUE_UNKNOWN_FLAVOR' },
+    INVALID_PHONE: { severity: 'warning', messageKey: 'DATA_ISSUE_INVALID_PHONE' },
+    DUPLICATE_ADDRESS: { severity: 'warning', messageKey: 'DATA_ISSUE_DUPLICATE_ADDRESS' }
+};
+
+// How many example rows to keep per rule in the report
+const MAX_EXAMPLES = 5;
+
+/**
+ * Checks raw store records one by one, tracking duplicates across the dataset
+ * Shared by the store worker (runtime) and scripts/validate-stores.js (data pipeline)
+ */
+export class StoreValidator {
+    constructor() {
+        this.seenNames = new Set();
+        this.seenAddresses = new Set();
+        this.report = { total: 0, accepted: 0, rejected: 0, suspicious: 0, issues: {} };
+    }
+
+    /**
+     * Validates a raw record
+     * @param {Object} record - Raw store record (NAME, px, py, addr, TEL, flavorType, markerColor)
+     * @returns {{accepted: boolean, record: Object, issues: Array<string>}}
+     *          record may be a corrected copy (e.g. with swapped coordinates fixed)
+     */
+    check(record) {
+        const issues = [];
+        let checked = record;
+        this.report.total++;
+
+        if (!record.NAME) {
+            issues.push('MISSING_NAME');
+        } else {
+            const nameKey = StoreValidator.nameKey(record.NAME);
+            if (this.seenNames.has(nameKey)) {
+                issues.push('DUPLICATE_NAME');
+            }
+            this.seenNames.add(nameKey);
+        }
+
+        const lat = parseFloat(record.py);
+        const lng = parseFloat(record.px);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+            issues.push('MISSING_COORDINATES');
+        } else if (!StoreValidator.isInTaiwan(lat, lng)) {
+            if (StoreValidator.isInTaiwan(lng, lat)) {
+                issues.push('SWAPPED_COORDINATES');
+                checked = { ...record, px: record.py, py: record.px };
+            } else {
+                issues.push('OUT_OF_BOUNDS');
+            }
+        }
+
+        const expectedColor = StoreValidator.expectedMarkerColor(record.flavorType);
+        if (!expectedColor) {
+            issues.push('UNKNOWN_FLAVOR');
+        } else if (record.markerColor !== expectedColor) {
+            issues.push('COLOR_MISMATCH');
+        }
+
+        if (!PHONE_PATTERN.test(TextNormalizer.normalize(record.TEL))) {
+            issues.push('INVALID_PHONE');
+        }
+
+        if (record.addr) {
+            const addressKey = TextNormalizer.forSearch(record.addr);
+            if (this.seenAddresses.has(addressKey)) {
+                issues.push('DUPLICATE_ADDRESS');
+            }
+            this.seenAddresses.add(addressKey);
+        }
+
+        const accepted = !issues.some(code => VALIDATION_RULES[code].severity === 'error');
+        this._record(record, issues, accepted);
+
+        return { accepted, record: checked, issues };
+    }
+
+    /**
+     * Summary of everything checked so far
+     * @returns {{total: number, accepted: number, rejected: number, suspicious: number,
+     *            issues: Object<string, {severity: string, messageKey: string, count: number, examples: Array<string>}>}}
+     */
+    getReport() {
+        return this.report;
+    }
+
+    /**
+     * Key by which two store names count as the same store; the store worker uses it as the store ID
+     * @param {string} name 
+     * @returns {string}
+     */
+    static nameKey(name) {
+        return TextNormalizer.normalize(name);
+    }
+
+    /**
+     * @param {number} lat 
+     * @param {number} lng 
+     * @returns {boolean}
+     */
+    static isInTaiwan(lat, lng) {
+        return TAIWAN_BOUNDS.some(([minLat, maxLat, minLng, maxLng]) =>
+            lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng
+        );
+    }
+
+    /**
+     * Derives the marker color a flavorType string should have
+     * @param {string} flavorType - e.g. '雙口味 + 特殊造型 (Dual Flavor + Special Shape)'
+     * @returns {string|null} null when the flavor cannot be recognized
+     */
+    static expectedMarkerColor(flavorType) {
+        const text = flavorType || '';
+        const isDual = text.includes('雙口味');
+        if (!isDual && !text.includes('單口味')) return null;
+
+        const base = isDual ? 'red' : 'blue';
+        return text.includes('特殊造型') ? `${base}-striped` : base;
+    }
+
+    _record(record, issues, accepted) {
+        if (accepted) {
+            this.report.accepted++;
+            if (issues.length > 0) this.report.suspicious++;
+        } else {
+            this.report.rejected++;
+        }
+
+        issues.forEach(code => {
+            if (!this.report.issues[code]) {
+                this.report.issues[code] = { ...VALIDATION_RULES[code], count: 0, examples: [] };
+            }
+            const entry = this.report.issues[code];
+            entry.count++;
+            if (entry.examples.length < MAX_EXAMPLES) {
+                entry.examples.push(record.NAME || `${record.px},${record.py}`);
+            }
+        });
+    }
+}
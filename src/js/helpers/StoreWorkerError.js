@@ -0,0 +1,42 @@
+/**
+ * Error raised by a store worker command, identified by a stable code
+ * Crosses the worker boundary as plain {code, message} data, since Error objects lose subclass and fields in postMessage
+ */
+export class StoreWorkerError extends Error {
+    static CODES = {
+        NOT_LOADED: 'NOT_LOADED', // Query sent before a dataset was loaded
+        FETCH_FAILED: 'FETCH_FAILED', // stores.json could not be downloaded or parsed
+        UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+        INVALID_PARAMS: 'INVALID_PARAMS',
+        CANCELLED: 'CANCELLED',
+        WORKER_CRASHED: 'WORKER_CRASHED', // The worker failed to start or threw outside a command
+        INTERNAL: 'INTERNAL'
+    };
+
+    /**
+     * @param {string} code - One of StoreWorkerError.CODES
+     * @param {string} message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'StoreWorkerError';
+        this.code = code;
+    }
+
+    /**
+     * @returns {{code: string, message: string}} Structured-clone friendly form
+     */
+    toJSON() {
+        return { code: this.code, message: this.message };
+    }
+
+    /**
+     * Wraps anything thrown by a command; unexpected errors become INTERNAL
+     * @param {*} error
+     * @returns {StoreWorkerError}
+     */
+    static from(error) {
+        if (error instanceof StoreWorkerError) return error;
+        return new StoreWorkerError(StoreWorkerError.CODES.INTERNAL, (error && error.message) || String(error));
+    }
+}
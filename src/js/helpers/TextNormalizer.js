@@ -0,0 +1,43 @@
+/**
+ * Text normalization for matching store names and addresses
+ * The scraped data mixes full-width and half-width characters and both 台/臺,
+ * so anything compared against user input goes through here first
+ */
+export class TextNormalizer {
+    /**
+     * Folds width, variant characters and case into a canonical form
+     * e.g. '臺中市公園路４２號' -> '台中市公園路42號'
+     * @param {string} text 
+     * @returns {string}
+     */
+    static normalize(text) {
+        if (!text) return '';
+        return String(text)
+            .normalize('NFKC') // Full-width digits/latin/punctuation -> half-width
+            .replace(/臺/g, '台')
+            .replace(/巿/g, '市') // Common typo in scraped addresses
+            .toLowerCase();
+    }
+
+    /**
+     * Normalizes text for substring search
+     * Whitespace and dashes are dropped so '0422010133' finds '04-22010133'
+     * @param {string} text 
+     * @returns {string}
+     */
+    static forSearch(text) {
+        return this.normalize(text).replace(/[\s\-‐‑–—]/g, '');
+    }
+
+    /**
+     * Splits a search query into normalized tokens
+     * @param {string} query 
+     * @returns {Array<string>}
+     */
+    static tokenize(query) {
+        return String(query || '')
+            .split(/[\s　]+/)
+            .map(token => this.forSearch(token))
+            .filter(Boolean);
+    }
+}
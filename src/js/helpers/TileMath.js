@@ -0,0 +1,76 @@
+/**
+ * Web Mercator (slippy map) tile math for offline downloads
+ * Bounds are plain objects so this stays free of Leaflet and the DOM
+ */
+export class TileMath {
+    /**
+     * @param {number} lng
+     * @param {number} zoom
+     * @returns {number} Tile column
+     */
+    static lngToTileX(lng, zoom) {
+        return Math.floor((lng + 180) / 360 * 2 ** zoom);
+    }
+
+    /**
+     * @param {number} lat
+     * @param {number} zoom
+     * @returns {number} Tile row
+     */
+    static latToTileY(lat, zoom) {
+        const rad = lat * Math.PI / 180;
+        return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * 2 ** zoom);
+    }
+
+    /**
+     * Tile index range covering bounds at one zoom level
+     * @param {{north: number, south: number, east: number, west: number}} bounds
+     * @param {number} zoom
+     * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+     */
+    static getTileRange(bounds, zoom) {
+        const last = 2 ** zoom - 1;
+        const clamp = value => Math.min(Math.max(value, 0), last);
+        return {
+            minX: clamp(this.lngToTileX(bounds.west, zoom)),
+            maxX: clamp(this.lngToTileX(bounds.east, zoom)),
+            minY: clamp(this.latToTileY(bounds.north, zoom)), // Rows grow southwards
+            maxY: clamp(this.latToTileY(bounds.south, zoom))
+        };
+    }
+
+    /**
+     * @param {Object} bounds
+     * @param {number} minZoom
+     * @param {number} maxZoom
+     * @returns {number} Number of tiles covering bounds over the zoom range
+     */
+    static countTiles(bounds, minZoom, maxZoom) {
+        let count = 0;
+        for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+            const { minX, maxX, minY, maxY } = this.getTileRange(bounds, zoom);
+            count += (maxX - minX + 1) * (maxY - minY + 1);
+        }
+        return count;
+    }
+
+    /**
+     * Lists tile coordinates covering bounds, coarsest zoom first
+     * @param {Object} bounds
+     * @param {number} minZoom
+     * @param {number} maxZoom
+     * @returns {Array<{x: number, y: number, z: number}>}
+     */
+    static listTiles(bounds, minZoom, maxZoom) {
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const { minX, maxX, minY, maxY } = this.getTileRange(bounds, z);
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    tiles.push({ x, y, z });
+                }
+            }
+        }
+        return tiles;
+    }
+}
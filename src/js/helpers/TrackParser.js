@@ -0,0 +1,91 @@
+/**
+ * Reads a recorded route from GPX or GeoJSON text into a list of points
+ * GPX: track points, else route points, else waypoints; GeoJSON: LineStrings, MultiLineStrings and Points in order
+ * Times come from GPX <time> elements or the GeoJSON "coordTimes"/"times" properties when present
+ */
+export class TrackParser {
+    /**
+     * @param {string} text - File contents
+     * @returns {Array<{latitude: number, longitude: number, time: (number|null)}>} Empty when nothing usable was found
+     */
+    static parse(text) {
+        const trimmed = text.trim();
+        const points = trimmed.startsWith('<') ? this._parseGpx(trimmed) : this._parseGeoJson(trimmed);
+        return points.filter(({ latitude, longitude }) =>
+            Number.isFinite(latitude) && Number.isFinite(longitude) &&
+            Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180
+        );
+    }
+
+    static _parseGpx(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) return [];
+
+        const elements = ['trkpt', 'rtept', 'wpt']
+            .map(tagName => Array.from(doc.getElementsByTagName(tagName)))
+            .find(found => found.length > 0) || [];
+
+        return elements.map(element => {
+            const timeElement = element.getElementsByTagName('time')[0];
+            return {
+                latitude: parseFloat(element.getAttribute('lat')),
+                longitude: parseFloat(element.getAttribute('lon')),
+                time: timeElement ? this._parseTime(timeElement.textContent) : null
+            };
+        });
+    }
+
+    static _parseGeoJson(text) {
+        let geoJson;
+        try {
+            geoJson = JSON.parse(text);
+        } catch (error) {
+            console.warn('Track is not valid GeoJSON:', error);
+            return [];
+        }
+        if (!geoJson || typeof geoJson !== 'object') return [];
+
+        const features = geoJson.type === 'FeatureCollection' ? geoJson.features
+            : geoJson.type === 'Feature' ? [geoJson]
+            : [{ geometry: geoJson, properties: {} }];
+        if (!Array.isArray(features)) return [];
+
+        return features.flatMap(feature => {
+            const geometry = feature && feature.geometry;
+            if (!geometry || !Array.isArray(geometry.coordinates)) return [];
+
+            const properties = feature.properties || {};
+            const times = properties.coordTimes || properties.times || [];
+            // Malformed lines and pairs are skipped rather than failing the whole track
+            const toPoints = (coordinates, lineTimes) => {
+                if (!Array.isArray(coordinates)) return [];
+                return coordinates.flatMap((pair, i) => (Array.isArray(pair) ? [{
+                    latitude: pair[1],
+                    longitude: pair[0],
+                    time: Array.isArray(lineTimes) ? this._parseTime(lineTimes[i]) : null
+                }] : []));
+            };
+
+            if (geometry.type === 'LineString') {
+                return toPoints(geometry.coordinates, times);
+            }
+            if (geometry.type === 'MultiLineString') {
+                return geometry.coordinates.flatMap((line, i) => toPoints(line, Array.isArray(times) ? times[i] : null));
+            }
+            if (geometry.type === 'Point') {
+                return toPoints([geometry.coordinates], [properties.time]);
+            }
+            return [];
+        });
+    }
+
+    /**
+     * @param {string|number|undefined} value - ISO 8601 text or epoch milliseconds
+     * @returns {number|null}
+     */
+    static _parseTime(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const time = typeof value === 'number' ? value : Date.parse(value);
+        return Number.isFinite(time) ? time : null;
+    }
+}
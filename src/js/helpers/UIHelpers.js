@@ -1,4 +1,5 @@
 import { CONFIG } from '../config.js';
+import { I18nService } from '../services/I18nService.js';
 
 /**
  * Helper class for generating HTML content
@@ -21,71 +22,837 @@ export class UIHelpers {
     }
 
     /**
-     * Generates popup HTML for a store
+     * Looks up the legend category for a marker color
+     * @param {string} markerColor 
+     * @returns {Object} Entry of CONFIG.CATEGORIES (falls back to the default marker)
+     */
+    static getCategory(markerColor) {
+        return CONFIG.CATEGORIES.find(c => c.ID === markerColor)
+            || CONFIG.CATEGORIES.find(c => c.ID === CONFIG.MARKERS.DEFAULT);
+    }
+
+    /**
+     * Localized label of the category a marker color belongs to
+     * Shown instead of the raw flavorType, which is a fixed Chinese/English mix
+     * @param {string} markerColor 
+     * @returns {string}
+     */
+    static getCategoryLabel(markerColor) {
+        return I18nService.t(this.getCategory(markerColor).LABEL_KEY);
+    }
+
+    /**
+     * Sorts stores so the most sought-after category comes first (see CONFIG.CATEGORIES RANK)
+     * @param {Array} stores 
+     * @returns {Array} New sorted array
+     */
+    static sortByCategoryRank(stores) {
+        return stores.slice().sort((a, b) =>
+            this.getCategory(b.markerColor).RANK - this.getCategory(a.markerColor).RANK
+        );
+    }
+
+    /**
+     * Formats a distance for display
+     * @param {number} meters 
+     * @returns {string} e.g. '350 m' or '1.2 km'
+     */
+    static formatDistance(meters) {
+        if (meters < 1000) {
+            return `${Math.round(meters)} m`;
+        }
+        return `${(meters / 1000).toFixed(1)} km`;
+    }
+
+    /**
+     * Formats a byte count for display
+     * @param {number} bytes 
+     * @returns {string} e.g. '820 KB' or '12.5 MB'
+     */
+    static formatBytes(bytes) {
+        if (bytes < 1024 * 1024) {
+            return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Builds a navigation URL for one of CONFIG.NAVIGATION_PROVIDERS
+     * Coordinates are used instead of the store name, which map apps often resolve to the wrong branch
+     * @param {Object} provider 
+     * @param {Object} store 
+     * @returns {string}
+     */
+    static createNavigationUrl(provider, store) {
+        return provider.URL
+            .replace(/\{lat\}/g, store.latitude)
+            .replace(/\{lng\}/g, store.longitude);
+    }
+
+    /**
+     * Turns a displayed phone number into a tel: URI, e.g. '(02)2345-6789' -> 'tel:0223456789'
+     * @param {string} phone 
+     * @returns {string} Empty when there are no digits to dial
+     */
+    static createTelUrl(phone) {
+        const digits = (phone || '').replace(/[^\d+]/g, '');
+        return digits ? `tel:${digits}` : '';
+    }
+
+    /**
+     * Generates the store details shown in a popup or the mobile bottom sheet
      * @param {Object} store 
+     * @param {{isFavorite: boolean, note: string, distance: (number|null)}} details - The user's star and note,
+     *     and the distance from the user in meters (null when unknown)
      * @returns {string}
      */
-    static createStorePopupContent(store) {
+    static createStorePopupContent(store, details = { isFavorite: false, note: '', distance: null }) {
         const safeName = this.escapeHtml(store.name);
-        const mapUrl = `https://www.google.com/maps/search/${encodeURIComponent(store.name)}`;
         const safeAddress = this.escapeHtml(store.address);
         const safePhone = this.escapeHtml(store.phone);
+        const telUrl = this.createTelUrl(store.phone);
         
         // Handle flavor display logic
-        let flavorHtml = this.escapeHtml(store.flavorType);
+        const flavorHtml = this.escapeHtml(this.getCategoryLabel(store.markerColor));
         let flavorClass = CONFIG.UI.CSS_CLASSES.POPUP_FLAVOR;
         const colorStyle = `color: ${store.displayColor};`;
 
         if (store.isSpecialShape) {
-            flavorHtml = flavorHtml.replace(' (', '<br>(');
             flavorClass += ` ${CONFIG.UI.CSS_CLASSES.POPUP_FLAVOR_MULTILINE}`;
         }
 
+        const distanceHtml = typeof details.distance === 'number'
+            ? `<div class="store-popup-distance">${this.escapeHtml(I18nService.t('DETAIL_DISTANCE', { distance: this.formatDistance(details.distance) }))}</div>`
+            : '';
+
+        const navigationLinks = CONFIG.NAVIGATION_PROVIDERS.map(provider => `
+            <a href="${this.escapeHtml(this.createNavigationUrl(provider, store))}"
+               target="_blank"
+               rel="noopener noreferrer"
+               class="${CONFIG.UI.CSS_CLASSES.POPUP_LINK}">${this.escapeHtml(I18nService.t(provider.LABEL_KEY))}</a>
+        `).join('');
+
         return `
-            <div class="store-popup">
-                <b>
-                    <a href="${mapUrl}" 
-                       target="_blank" 
-                       rel="noopener noreferrer" 
-                       class="${CONFIG.UI.CSS_CLASSES.POPUP_LINK}">
-                        ${safeName}
-                    </a>
-                </b><br>
+            <div class="store-popup" data-popup-store-id="${this.escapeHtml(store.id)}">
+                <b class="store-popup-name">${safeName}</b><br>
                 <span class="${flavorClass}" style="${colorStyle}">
                     ${flavorHtml}
-                </span><br>
-                地址: ${safeAddress}<br>
-                電話: ${safePhone}
+                </span>
+                ${distanceHtml}
+                <div class="store-popup-row">
+                    ${this.escapeHtml(I18nService.t('DETAIL_ADDRESS'))}: ${safeAddress}
+                    <button type="button" class="store-popup-action" data-action="copy-address">${this.escapeHtml(I18nService.t('DETAIL_COPY_ADDRESS'))}</button>
+                </div>
+                <div class="store-popup-row">
+                    ${this.escapeHtml(I18nService.t('DETAIL_PHONE'))}: ${telUrl ? `<a href="${telUrl}" class="${CONFIG.UI.CSS_CLASSES.POPUP_LINK}">${safePhone}</a>` : safePhone}
+                </div>
+                <div class="store-popup-row store-popup-navigation">
+                    ${this.escapeHtml(I18nService.t('DETAIL_NAVIGATE'))}: ${navigationLinks}
+                </div>
+                <button type="button" class="store-popup-action" data-action="share-store">${this.escapeHtml(I18nService.t('DETAIL_SHARE'))}</button>
+                <button type="button" class="store-popup-action" data-action="set-location">${this.escapeHtml(I18nService.t('DETAIL_SET_LOCATION'))}</button>
+                ${this.createFavoriteActionsContent(details)}
+            </div>
+        `;
+    }
+
+    /**
+     * Generates popup HTML for several stores sharing one marker
+     * @param {Array} stores - Stores at the same spot, shown in the given order
+     * @param {function(Object): Object} getDetails - Star, note and distance per store (see createStorePopupContent)
+     * @returns {string}
+     */
+    static createGroupPopupContent(stores, getDetails) {
+        const sections = stores
+            .map(store => this.createStorePopupContent(store, getDetails(store)))
+            .join('<hr class="store-popup-divider">');
+
+        return `
+            <div class="store-popup-group">
+                <div class="store-popup-group-title">
+                    ${this.escapeHtml(I18nService.t('GROUP_POPUP_TITLE', { count: stores.length }))}
+                </div>
+                ${sections}
+            </div>
+        `;
+    }
+
+    /**
+     * Generates the star button and note field shown inside store popups
+     * @param {{isFavorite: boolean, note: string}} personal 
+     * @returns {string}
+     */
+    static createFavoriteActionsContent({ isFavorite, note }) {
+        const label = isFavorite ? I18nService.t('FAVORITE_REMOVE') : I18nService.t('FAVORITE_ADD');
+        return `
+            <div class="store-popup-personal">
+                <button type="button"
+                        class="store-popup-favorite${isFavorite ? ` ${CONFIG.UI.CSS_CLASSES.FAVORITE_ACTIVE}` : ''}"
+                        data-action="toggle-favorite"
+                        aria-pressed="${isFavorite}">
+                    ${isFavorite ? '★' : '☆'} ${this.escapeHtml(label)}
+                </button>
+                <textarea class="store-popup-note"
+                          data-action="note"
+                          rows="2"
+                          maxlength="${CONFIG.FAVORITES.NOTE_MAX_LENGTH}"
+                          placeholder="${this.escapeHtml(I18nService.t('FAVORITE_NOTE_PLACEHOLDER'))}">${this.escapeHtml(note)}</textarea>
             </div>
         `;
     }
 
     /**
      * Generates the Legend HTML
+     * Each category doubles as a filter toggle; presets offer one-tap shortcuts
      * @returns {string}
      */
     static createLegendContent() {
+        const presets = CONFIG.FILTER_PRESETS.map(preset => `
+            <button type="button" class="legend-preset" data-preset="${preset.ID}">${this.escapeHtml(I18nService.t(preset.LABEL_KEY))}</button>
+        `).join('');
+
+        const items = CONFIG.CATEGORIES.map(category => `
+            <label class="legend-item">
+                <input type="checkbox" data-category="${category.ID}" checked>
+                <i class="${category.CLASS_NAME}"></i>
+                <span class="legend-label">${this.escapeHtml(I18nService.t(category.LABEL_KEY))}</span>
+                <span class="legend-count" data-count-for="${category.ID}"></span>
+            </label>
+        `).join('');
+
+        const displayModes = [
+            { ID: CONFIG.DISPLAY_MODE_PINS, LABEL_KEY: 'DISPLAY_PINS' },
+            ...CONFIG.HEATMAP.MODES
+        ].map(mode => `
+            <option value="${mode.ID}">${this.escapeHtml(I18nService.t(mode.LABEL_KEY))}</option>
+        `).join('');
+
         return `
-            <div class="legend-item"><i class="marker-blue"></i> 單口味 (Single)</div>
-            <div class="legend-item"><i class="marker-red"></i> 雙口味 (Dual)</div>
-            <div class="legend-item"><i class="marker-blue-striped"></i> 單口味 + 特殊造型 (Single + Shape)</div>
-            <div class="legend-item"><i class="marker-red-striped"></i> 雙口味 + 特殊造型 (Dual + Shape)</div>
+            <label class="legend-display">
+                <span>${this.escapeHtml(I18nService.t('DISPLAY_MODE_LABEL'))}</span>
+                <select data-field="display-mode">${displayModes}</select>
+            </label>
+            <div class="legend-presets">${presets}</div>
+            ${items}
+            <label class="legend-item legend-favorites">
+                <input type="checkbox" data-filter="favorites-only">
+                <span class="legend-label">★ ${this.escapeHtml(I18nService.t('FAVORITES_ONLY'))}</span>
+            </label>
             <div id="${CONFIG.UI.LAST_UPDATED_ID}" class="last-updated"></div>
+            <div id="${CONFIG.UI.DATA_REPORT_ID}" class="data-report"></div>
+        `;
+    }
+
+    /**
+     * Generates the search result list HTML
+     * @param {Array} stores - Matching stores, best first
+     * @returns {string}
+     */
+    static createSearchResultsContent(stores) {
+        if (stores.length === 0) {
+            return `<li class="search-empty">${this.escapeHtml(I18nService.t('SEARCH_NO_RESULTS'))}</li>`;
+        }
+
+        return stores.map(store => {
+            const category = this.getCategory(store.markerColor);
+            return `
+                <li class="search-result" data-store-id="${this.escapeHtml(store.id)}">
+                    <i class="${category.CLASS_NAME}"></i>
+                    <div class="search-result-text">
+                        <div class="search-result-name">${this.escapeHtml(store.name)}</div>
+                        <div class="search-result-address">${this.escapeHtml(store.address)}</div>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Generates the nearest-stores list HTML
+     * @param {Array<{store: Object, distance: number}>} entries - Closest first
+     * @returns {string}
+     */
+    static createNearbyListContent(entries) {
+        if (entries.length === 0) {
+            return `<li class="list-panel-empty">${this.escapeHtml(I18nService.t('NEARBY_EMPTY'))}</li>`;
+        }
+
+        return entries.map(({ store, distance }) => {
+            const category = this.getCategory(store.markerColor);
+            return `
+                <li class="list-panel-item" data-store-id="${this.escapeHtml(store.id)}">
+                    <i class="${category.CLASS_NAME}"></i>
+                    <div class="list-panel-item-text">
+                        <div class="list-panel-item-name">${this.escapeHtml(store.name)}</div>
+                        <div class="list-panel-item-meta" style="color: ${store.displayColor};">${this.escapeHtml(I18nService.t(category.LABEL_KEY))}</div>
+                    </div>
+                    <span class="list-panel-item-aside">${this.formatDistance(distance)}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Generates the favorites list HTML
+     * @param {Array<Object>} records - Favorite records from FavoritesService
+     * @param {function(string): boolean} isMissing - Whether a store left the dataset
+     * @returns {string}
+     */
+    static createFavoritesListContent(records, isMissing) {
+        if (records.length === 0) {
+            return `<li class="list-panel-empty">${this.escapeHtml(I18nService.t('FAVORITES_EMPTY'))}</li>`;
+        }
+
+        return records.map(record => {
+            const category = this.getCategory(record.snapshot.markerColor);
+            const safeId = this.escapeHtml(record.storeId);
+            const missing = isMissing(record.storeId);
+            const meta = missing ? I18nService.t('FAVORITE_MISSING_BADGE') : record.note;
+            return `
+                <li class="list-panel-item${missing ? ' is-missing' : ''}" ${missing ? '' : `data-store-id="${safeId}"`}>
+                    <i class="${category.CLASS_NAME}"></i>
+                    <div class="list-panel-item-text">
+                        <div class="list-panel-item-name">${record.favorite ? '★ ' : ''}${this.escapeHtml(record.snapshot.name)}</div>
+                        ${meta ? `<div class="list-panel-item-meta">${this.escapeHtml(meta)}</div>` : ''}
+                    </div>
+                    ${missing ? `<button type="button" class="list-panel-item-aside" data-remove-id="${safeId}">${this.escapeHtml(I18nService.t('FAVORITE_DELETE'))}</button>` : ''}
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Generates the offline map panel: download form and the saved area list
+     * @returns {string}
+     */
+    static createOfflinePanelContent() {
+        return `
+            <button type="button" class="list-panel-toggle" aria-expanded="false">
+                ${this.escapeHtml(I18nService.t('OFFLINE_TITLE'))}
+            </button>
+            <div class="offline-form">
+                <input type="text" class="offline-name" data-field="name"
+                       maxlength="40" placeholder="${this.escapeHtml(I18nService.t('OFFLINE_NAME_PLACEHOLDER'))}">
+                <label class="offline-zoom">
+                    ${this.escapeHtml(I18nService.t('OFFLINE_ZOOM_RANGE'))}
+                    <select data-field="min-zoom"></select> – <select data-field="max-zoom"></select>
+                </label>
+                <div class="offline-estimate"></div>
+                <progress class="offline-progress" value="0" max="1" hidden></progress>
+                <button type="button" class="panel-button" data-action="download">${this.escapeHtml(I18nService.t('OFFLINE_DOWNLOAD'))}</button>
+                <button type="button" class="panel-button" data-action="cancel" hidden>${this.escapeHtml(I18nService.t('OFFLINE_CANCEL'))}</button>
+            </div>
+            <ul class="list-panel-list"></ul>
+        `;
+    }
+
+    /**
+     * Generates the menu shown when the map is long-pressed
+     * @returns {string}
+     */
+    static createLocationMenuContent() {
+        return `
+            <div class="location-menu">
+                <button type="button" class="store-popup-action" data-action="set-location">${this.escapeHtml(I18nService.t('LOCATION_MENU_SET'))}</button>
+                <div class="location-menu-save">
+                    <input type="text" class="place-name" data-field="name"
+                           maxlength="${CONFIG.PLACES.NAME_MAX_LENGTH}" placeholder="${this.escapeHtml(I18nService.t('PLACE_NAME_PLACEHOLDER'))}">
+                    <button type="button" class="store-popup-action" data-action="save-place">${this.escapeHtml(I18nService.t('PLACE_SAVE'))}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generates the "my places" panel
+     * @returns {string}
+     */
+    static createPlacesPanelContent() {
+        return `
+            <button type="button" class="list-panel-toggle" aria-expanded="false">
+                ${this.escapeHtml(I18nService.t('PLACES_TITLE'))}
+            </button>
+            <div class="places-form">
+                <input type="text" class="place-name" data-field="name"
+                       maxlength="${CONFIG.PLACES.NAME_MAX_LENGTH}" placeholder="${this.escapeHtml(I18nService.t('PLACE_NAME_PLACEHOLDER'))}">
+                <button type="button" class="panel-button" data-action="save-current">${this.escapeHtml(I18nService.t('PLACES_SAVE_CURRENT'))}</button>
+                <div class="panel-hint">${this.escapeHtml(I18nService.t('PLACES_HINT'))}</div>
+            </div>
+            <ul class="list-panel-list"></ul>
+        `;
+    }
+
+    /**
+     * Generates the saved places list HTML
+     * @param {Array<Object>} places - From PlacesService.getAll
+     * @param {string|null} defaultId - The startup place
+     * @returns {string}
+     */
+    static createPlacesListContent(places, defaultId) {
+        if (places.length === 0) {
+            return `<li class="list-panel-empty">${this.escapeHtml(I18nService.t('PLACES_EMPTY'))}</li>`;
+        }
+
+        return places.map(place => {
+            const isDefault = place.id === defaultId;
+            return `
+                <li class="list-panel-item" data-place-id="${this.escapeHtml(place.id)}">
+                    <div class="list-panel-item-text">
+                        <div class="list-panel-item-name">${this.escapeHtml(place.name)}</div>
+                        ${isDefault ? `<div class="list-panel-item-meta">${this.escapeHtml(I18nService.t('PLACE_IS_DEFAULT'))}</div>` : ''}
+                    </div>
+                    <button type="button" class="list-panel-item-aside" data-default-id="${this.escapeHtml(place.id)}"
+                            aria-pressed="${isDefault}" title="${this.escapeHtml(I18nService.t('PLACE_DEFAULT'))}">${isDefault ? '★' : '☆'}</button>
+                    <button type="button" class="list-panel-item-aside" data-remove-id="${this.escapeHtml(place.id)}">${this.escapeHtml(I18nService.t('PLACE_DELETE'))}</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Generates the "ice cream radar" settings panel
+     * @param {Object} settings - From ProximityAlertService
+     * @returns {string}
+     */
+    static createRadarPanelContent({ enabled, categories, radius, quietHours }) {
+        const checked = isChecked => (isChecked ? ' checked' : '');
+        const categoryItems = CONFIG.CATEGORIES.map(category => `
+            <label class="panel-option">
+                <input type="checkbox" data-field="category" value="${category.ID}"${checked(categories.includes(category.ID))}>
+                <i class="${category.CLASS_NAME}"></i>
+                ${this.escapeHtml(I18nService.t(category.LABEL_KEY))}
+            </label>
+        `).join('');
+        const radiusOptions = CONFIG.RADAR.RADII.map(meters => `
+            <option value="${meters}"${meters === radius ? ' selected' : ''}>${this.formatDistance(meters)}</option>
+        `).join('');
+
+        return `
+            <button type="button" class="list-panel-toggle" aria-expanded="false">
+                ${this.escapeHtml(I18nService.t('RADAR_TITLE'))}
+            </button>
+            <div class="radar-form">
+                <label class="panel-option radar-enabled">
+                    <input type="checkbox" data-field="enabled"${checked(enabled)}>
+                    ${this.escapeHtml(I18nService.t('RADAR_ENABLED'))}
+                </label>
+                <div class="panel-hint">${this.escapeHtml(I18nService.t('RADAR_HINT'))}</div>
+                ${categoryItems}
+                <label class="panel-option">
+                    ${this.escapeHtml(I18nService.t('RADAR_RADIUS'))}
+                    <select data-field="radius">${radiusOptions}</select>
+                </label>
+                <label class="panel-option">
+                    <input type="checkbox" data-field="quiet-enabled"${checked(quietHours.enabled)}>
+                    ${this.escapeHtml(I18nService.t('RADAR_QUIET_HOURS'))}
+                </label>
+                <div class="radar-quiet">
+                    <input type="time" data-field="quiet-start" value="${this.escapeHtml(quietHours.start)}">
+                    –
+                    <input type="time" data-field="quiet-end" value="${this.escapeHtml(quietHours.end)}">
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generates the position provider debug panel
+     * @param {{type: string, speed: number, point: (Array<number>|null)}} state - Selected provider, replay speed and fixed point
+     * @returns {string}
+     */
+    static createLocationDebugPanelContent({ type, speed, point }) {
+        const { TYPES, REPLAY_SPEEDS } = CONFIG.POSITION_PROVIDERS;
+        const typeLabels = {
+            [TYPES.GPS]: 'LOCATION_DEBUG_GPS',
+            [TYPES.FIXED]: 'LOCATION_DEBUG_FIXED',
+            [TYPES.REPLAY]: 'LOCATION_DEBUG_REPLAY'
+        };
+        const typeOptions = Object.values(TYPES).map(value => `
+            <option value="${value}"${value === type ? ' selected' : ''}>${this.escapeHtml(I18nService.t(typeLabels[value]))}</option>
+        `).join('');
+        const speeds = [...new Set([...REPLAY_SPEEDS, speed])].sort((a, b) => a - b);
+        const speedOptions = speeds.map(value => `
+            <option value="${value}"${value === speed ? ' selected' : ''}>${this.escapeHtml(I18nService.t('LOCATION_DEBUG_SPEED_OPTION', { speed: value }))}</option>
+        `).join('');
+        const [latitude, longitude] = point || ['', ''];
+
+        return `
+            <button type="button" class="list-panel-toggle" aria-expanded="false">
+                ${this.escapeHtml(I18nService.t('LOCATION_DEBUG_TITLE'))}
+            </button>
+            <div class="location-debug-form">
+                <div class="panel-hint">${this.escapeHtml(I18nService.t('LOCATION_DEBUG_HINT'))}</div>
+                <select data-field="provider">${typeOptions}</select>
+                <div class="location-debug-section" data-provider="${TYPES.FIXED}">
+                    <input type="number" class="place-name" data-field="latitude" step="any" value="${latitude}"
+                           placeholder="${this.escapeHtml(I18nService.t('LOCATION_DEBUG_LATITUDE'))}">
+                    <input type="number" class="place-name" data-field="longitude" step="any" value="${longitude}"
+                           placeholder="${this.escapeHtml(I18nService.t('LOCATION_DEBUG_LONGITUDE'))}">
+                    <button type="button" class="panel-button" data-action="use-center">${this.escapeHtml(I18nService.t('LOCATION_DEBUG_USE_CENTER'))}</button>
+                    <button type="button" class="panel-button" data-action="apply-fixed">${this.escapeHtml(I18nService.t('LOCATION_DEBUG_APPLY'))}</button>
+                </div>
+                <div class="location-debug-section" data-provider="${TYPES.REPLAY}">
+                    <label class="panel-option">
+                        ${this.escapeHtml(I18nService.t('LOCATION_DEBUG_TRACK'))}
+                        <input type="file" data-field="track" accept=".gpx,.geojson,.json">
+                    </label>
+                    <label class="panel-option">
+                        ${this.escapeHtml(I18nService.t('LOCATION_DEBUG_SPEED'))}
+                        <select data-field="speed">${speedOptions}</select>
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generates the export button and its menu: which stores, then one button per file format
+     * @returns {string}
+     */
+    static createExportMenuContent() {
+        const formatButtons = CONFIG.EXPORT.FORMATS.map(format => `
+            <button type="button" class="panel-button" data-format="${format.ID}">${this.escapeHtml(format.LABEL)}</button>
+        `).join('');
+
+        return `
+            <button type="button" class="leaflet-control-export-button" aria-expanded="false"
+                    title="${this.escapeHtml(I18nService.t('EXPORT_TITLE'))}" aria-label="${this.escapeHtml(I18nService.t('EXPORT_TITLE'))}">
+                <span class="leaflet-control-export-icon"></span>
+            </button>
+            <div class="export-menu">
+                <div class="export-menu-title">${this.escapeHtml(I18nService.t('EXPORT_TITLE'))}</div>
+                <label class="panel-option">
+                    <input type="radio" name="export-scope" data-field="scope" value="filtered" checked>
+                    ${this.escapeHtml(I18nService.t('EXPORT_SCOPE_FILTERED'))}
+                </label>
+                <label class="panel-option">
+                    <input type="radio" name="export-scope" data-field="scope" value="view">
+                    ${this.escapeHtml(I18nService.t('EXPORT_SCOPE_VIEW'))}
+                </label>
+                <div class="export-formats">${formatButtons}</div>
+                <div class="panel-hint">${this.escapeHtml(I18nService.t('EXPORT_HINT'))}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generates the saved offline areas list HTML
+     * @param {Array<Object>} areas - From OfflineTileService.list
+     * @returns {string}
+     */
+    static createOfflineAreaListContent(areas) {
+        if (areas.length === 0) {
+            return `<li class="list-panel-empty">${this.escapeHtml(I18nService.t('OFFLINE_EMPTY'))}</li>`;
+        }
+
+        return areas.map(area => {
+            const meta = I18nService.t('OFFLINE_AREA_META', {
+                minZoom: area.minZoom,
+                maxZoom: area.maxZoom,
+                tiles: area.urls.length,
+                size: this.formatBytes(area.bytes)
+            });
+            return `
+                <li class="list-panel-item" data-area-bounds="${this.escapeHtml(JSON.stringify(area.bounds))}">
+                    <div class="list-panel-item-text">
+                        <div class="list-panel-item-name">${this.escapeHtml(area.name)}</div>
+                        <div class="list-panel-item-meta">${this.escapeHtml(meta)}</div>
+                    </div>
+                    <button type="button" class="list-panel-item-aside" data-delete-area="${this.escapeHtml(area.id)}">${this.escapeHtml(I18nService.t('OFFLINE_DELETE'))}</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Generates the "what changed since your last visit" summary HTML
+     * @param {Object} diff - Dataset diff from the store worker
+     * @param {function(string): (Object|null)} getStore - Looks up current stores by ID
+     * @returns {string}
+     */
+    static createChangesSummaryContent(diff, getStore) {
+        const storeItem = (id, detail = '') => {
+            const store = getStore(id);
+            if (!store) return '';
+            return `
+                <li class="changes-item" data-store-id="${this.escapeHtml(id)}">
+                    ${this.escapeHtml(store.name)}${detail ? `<span class="changes-detail">${this.escapeHtml(detail)}</span>` : ''}
+                </li>
+            `;
+        };
+        const transition = ({ from, to }) => `${this.getCategoryLabel(from)} → ${this.getCategoryLabel(to)}`;
+
+        const sections = [
+            { titleKey: 'CHANGES_ADDED', items: diff.added.map(id => storeItem(id, this.getCategoryLabel(getStore(id)?.markerColor))) },
+            { titleKey: 'CHANGES_UPGRADED', items: diff.upgraded.map(change => storeItem(change.id, transition(change))) },
+            { titleKey: 'CHANGES_DOWNGRADED', items: diff.downgraded.map(change => storeItem(change.id, transition(change))) },
+            { titleKey: 'CHANGES_CHANGED', items: diff.changed.map(change => storeItem(change.id, transition(change))) },
+            {
+                titleKey: 'CHANGES_REMOVED',
+                items: diff.removed.map(store => `
+                    <li class="changes-item is-removed">
+                        ${this.escapeHtml(store.name)}<span class="changes-detail">${this.escapeHtml(store.address)}</span>
+                    </li>
+                `)
+            }
+        ].filter(section => section.items.length > 0);
+
+        const sectionsHtml = sections.map(section => `
+            <details class="changes-section">
+                <summary>${this.escapeHtml(I18nService.t(section.titleKey, { count: section.items.length }))}</summary>
+                <ul class="changes-list">${section.items.join('')}</ul>
+            </details>
+        `).join('');
+
+        return `
+            <div class="changes-header">
+                <b>${this.escapeHtml(I18nService.t('CHANGES_TITLE'))}</b>
+            </div>
+            <div class="changes-period">${this.escapeHtml(diff.previousUpdated)} → ${this.escapeHtml(diff.currentUpdated)}</div>
+            ${sectionsHtml}
+            <button type="button" class="changes-dismiss" data-action="dismiss">${this.escapeHtml(I18nService.t('CHANGES_DISMISS'))}</button>
         `;
     }
 
     /**
      * Creates a Leaflet DivIcon with custom CSS pin style
      * @param {string} className 
+     * @param {Array<string>} modifiers - Extra wrapper classes, e.g. 'pin-favorite' for the star badge
+     * @param {number} count - Number of stores sharing the pin; shown as a badge when above 1
      * @returns {L.DivIcon}
      */
-    static createPinIcon(className) {
+    static createPinIcon(className, modifiers = [], count = 1) {
+        const countBadge = count > 1 ? `<span class="pin-count">${count}</span>` : '';
         return L.divIcon({
-            className: 'pin-wrapper',
-            html: `<div class="custom-pin ${className}"></div>`,
+            className: ['pin-wrapper', ...modifiers].join(' '),
+            html: `<div class="custom-pin ${className}"></div>${countBadge}`,
             iconSize: [30, 30],
             iconAnchor: [15, 36], // Pointing tip location relative to icon top-left
             popupAnchor: [0, -36]
         });
     }
+
+    /**
+     * Creates a cluster icon: a ring split by category share, with the store count in the middle
+     * Segments follow the legend order; colors come from the --category-* CSS variables
+     * @param {number} count - Stores in the cluster
+     * @param {Object<string, number>} categories - Store count per markerColor
+     * @returns {L.DivIcon}
+     */
+    static createClusterIcon(count, categories) {
+        const known = CONFIG.CATEGORIES.filter(category => categories[category.ID] > 0);
+        const total = known.reduce((sum, category) => sum + categories[category.ID], 0) || 1;
+
+        let start = 0;
+        const stops = known.map(category => {
+            const end = start + categories[category.ID] / total * 100;
+            const stop = `var(--category-${category.ID}) ${start.toFixed(1)}% ${end.toFixed(1)}%`;
+            start = end;
+            return stop;
+        });
+
+        return L.divIcon({
+            html: `<div class="cluster-ring" style="background: conic-gradient(${stops.join(', ')})"><span>${count}</span></div>`,
+            className: 'marker-cluster',
+            iconSize: new L.Point(40, 40)
+        });
+    }
+
+    /**
+     * Generates the per-category breakdown shown in a cluster's tooltip and the region picker
+     * @param {Object<string, number>} categories - Store count per markerColor
+     * @returns {string}
+     */
+    static createClusterBreakdownContent(categories) {
+        return CONFIG.CATEGORIES
+            .filter(category => categories[category.ID] > 0)
+            .map(category => `
+                <div class="cluster-breakdown-row">
+                    <span class="cluster-swatch" style="background: var(--category-${category.ID})"></span>
+                    ${this.escapeHtml(I18nService.t(category.LABEL_KEY))}: ${categories[category.ID]}
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Generates the region picker's county and district selects
+     * @returns {string}
+     */
+    static createRegionPickerContent() {
+        const label = this.escapeHtml(I18nService.t('REGION_LABEL'));
+        return `
+            <select data-field="county" aria-label="${label}"></select>
+            <select data-field="district" aria-label="${label}" disabled></select>
+            <div class="region-summary" hidden></div>
+        `;
+    }
+
+    /**
+     * Generates region options with store counts, keeping the selected one even when nothing is left in it
+     * @param {Array<{name: string, total: number}>} regions
+     * @param {string} selected - Selected region name, or '' for all
+     * @param {string} allLabel - Label of the leading "all" option
+     * @returns {string}
+     */
+    static createRegionOptions(regions, selected, allLabel) {
+        const entries = regions.some(region => region.name === selected) || !selected
+            ? regions
+            : [...regions, { name: selected, total: 0 }];
+
+        const options = entries.map(region => `
+            <option value="${this.escapeHtml(region.name)}"${region.name === selected ? ' selected' : ''}>
+                ${this.escapeHtml(I18nService.t('REGION_OPTION', { name: region.name, count: region.total }))}
+            </option>
+        `).join('');
+        return `<option value=""${selected ? '' : ' selected'}>${this.escapeHtml(allLabel)}</option>${options}`;
+    }
+
+    /**
+     * Generates the statistics dashboard body
+     * Charts are plain CSS bars; changes are shown only when the previous dataset is known
+     * @param {{current: Object, previous: (Object|null)}} dashboard - From StoreService.getDashboard
+     * @returns {string}
+     */
+    static createStatsDashboardContent({ current, previous }) {
+        const t = (key, params) => this.escapeHtml(I18nService.t(key, params));
+        const previousRegions = new Map();
+        if (previous) {
+            previous.counties.forEach(county => {
+                previousRegions.set(county.county, county);
+                county.districts.forEach(district => previousRegions.set(`${county.county}|${district.district}`, district));
+            });
+        }
+        const previousTotal = key => (previousRegions.get(key) || { total: 0 }).total;
+        const delta = (value, before) => (previous ? this.formatStatsDelta(value - before) : '');
+
+        const categoryMax = Math.max(1, ...CONFIG.CATEGORIES.map(category => current.categories[category.ID] || 0));
+        const categoryRows = CONFIG.CATEGORIES.map(category => {
+            const count = current.categories[category.ID] || 0;
+            return this.createStatsRow(
+                t(category.LABEL_KEY),
+                { [category.ID]: count },
+                categoryMax,
+                count,
+                delta(count, previous ? previous.categories[category.ID] || 0 : 0)
+            );
+        }).join('');
+
+        const share = (count, total) => (total ? count / total * 100 : 0);
+        const specialShare = share(current.specialShape, current.total);
+        const specialDelta = previous
+            ? this.formatStatsDelta(specialShare - share(previous.specialShape, previous.total), 1)
+            : '';
+
+        const dualMax = Math.max(1, ...current.dualDistricts.map(entry => entry.count));
+        const dualRows = current.dualDistricts.map((entry, index) => {
+            const before = previous ? previousRegions.get(`${entry.county}|${entry.district}`) : null;
+            const beforeCount = before
+                ? CONFIG.STATS.DUAL_FLAVOR_CATEGORIES.reduce((sum, category) => sum + (before.categories[category] || 0), 0)
+                : 0;
+            const dualCategories = {};
+            const region = current.counties.find(county => county.county === entry.county)
+                .districts.find(district => district.district === entry.district);
+            CONFIG.STATS.DUAL_FLAVOR_CATEGORIES.forEach(category => {
+                dualCategories[category] = region.categories[category] || 0;
+            });
+            return this.createStatsRow(
+                `${index + 1}. ${this.escapeHtml(entry.county + entry.district)}`,
+                dualCategories,
+                dualMax,
+                entry.count,
+                delta(entry.count, beforeCount)
+            );
+        }).join('');
+
+        const countyMax = Math.max(1, ...current.counties.map(county => county.total));
+        const countyRows = current.counties.map(county => {
+            const districtMax = Math.max(1, ...county.districts.map(district => district.total));
+            const districtRows = county.districts.map(district => this.createStatsRow(
+                this.escapeHtml(district.district),
+                district.categories,
+                districtMax,
+                district.total,
+                delta(district.total, previousTotal(`${county.county}|${district.district}`))
+            )).join('');
+            return `
+                <details class="stats-county">
+                    <summary>${this.createStatsRow(
+                        this.escapeHtml(county.county),
+                        county.categories,
+                        countyMax,
+                        county.total,
+                        delta(county.total, previousTotal(county.county))
+                    )}</summary>
+                    <div class="stats-districts">${districtRows}</div>
+                </details>
+            `;
+        }).join('');
+
+        return `
+            <p class="stats-meta">
+                ${t('STATS_UPDATED', { date: current.lastUpdated, total: current.total })}
+                ${previous
+                    ? `${t('STATS_COMPARED', { date: previous.lastUpdated })} ${this.formatStatsDelta(current.total - previous.total)}`
+                    : t('STATS_NO_PREVIOUS')}
+            </p>
+            <section class="stats-section">
+                <h3>${t('STATS_CATEGORIES')}</h3>
+                ${categoryRows}
+            </section>
+            <section class="stats-section">
+                <h3>${t('STATS_SPECIAL_SHAPE')}</h3>
+                <div class="stats-share">
+                    <b>${specialShare.toFixed(1)}%</b>
+                    ${t('STATS_SPECIAL_SHAPE_COUNT', { count: current.specialShape, total: current.total })}
+                    ${specialDelta ? t('STATS_POINTS', { value: specialDelta }) : ''}
+                </div>
+                <div class="stats-bar"><span style="width: ${specialShare.toFixed(1)}%; background: var(--category-red-striped)"></span></div>
+            </section>
+            <section class="stats-section">
+                <h3>${t('STATS_TOP_DUAL')}</h3>
+                ${dualRows}
+            </section>
+            <section class="stats-section">
+                <h3>${t('STATS_COUNTIES')}</h3>
+                ${countyRows}
+            </section>
+        `;
+    }
+
+    /**
+     * Generates one labelled bar of the statistics dashboard, split by category
+     * @param {string} labelHtml - Already escaped
+     * @param {Object<string, number>} categories - Count per markerColor
+     * @param {number} max - Value of a full-width bar
+     * @param {number} value - Number shown after the bar
+     * @param {string} delta - From formatStatsDelta, or '' to leave out
+     * @returns {string}
+     */
+    static createStatsRow(labelHtml, categories, max, value, delta) {
+        const segments = CONFIG.CATEGORIES
+            .filter(category => categories[category.ID] > 0)
+            .map(category => `<span style="width: ${(categories[category.ID] / max * 100).toFixed(1)}%; background: var(--category-${category.ID})"></span>`)
+            .join('');
+        const deltaClass = delta.startsWith('+') ? ' is-up' : (delta.startsWith('−') ? ' is-down' : '');
+        return `
+            <span class="stats-row">
+                <span class="stats-label">${labelHtml}</span>
+                <span class="stats-bar">${segments}</span>
+                <span class="stats-value">${value}</span>
+                <span class="stats-delta${deltaClass}">${delta}</span>
+            </span>
+        `;
+    }
+
+    /**
+     * Formats a change with an explicit sign, e.g. +3, −2 or ±0
+     * @param {number} value
+     * @param {number} [digits] - Decimal places
+     * @returns {string}
+     */
+    static formatStatsDelta(value, digits = 0) {
+        const rounded = Number(value.toFixed(digits));
+        if (rounded === 0) return `±${(0).toFixed(digits)}`;
+        return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded).toFixed(digits)}`;
+    }
 }
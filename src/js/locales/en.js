@@ -0,0 +1,169 @@
+/**
+ * English messages
+ */
+export const MESSAGES = {
+    APP_TITLE: 'FamilyMart Soft Serve Map | Find single and dual flavor stores',
+    LANGUAGE_LABEL: 'Language',
+    LEAFLET_MISSING: 'The map library (Leaflet) failed to load. Please check your connection.',
+    OFFLINE_MODE: 'You are offline. The map and store data cannot be loaded or updated.',
+    NETWORK_ONLINE: 'Back online',
+    NETWORK_OFFLINE: 'Connection lost',
+    LAST_UPDATED: 'Data last updated: {date}',
+    LOCATE_TITLE: 'Show my location',
+    CATEGORY_BLUE: 'Single flavor',
+    CATEGORY_RED: 'Dual flavor',
+    CATEGORY_BLUE_STRIPED: 'Single flavor + special shape',
+    CATEGORY_RED_STRIPED: 'Dual flavor + special shape',
+    PRESET_ALL: 'All',
+    PRESET_DUAL: 'Dual flavor',
+    PRESET_SHAPE: 'Special shape',
+    NAVIGATION_GOOGLE: 'Google Maps',
+    NAVIGATION_APPLE: 'Apple Maps',
+    NAVIGATION_OSM: 'OpenStreetMap',
+    LOCATION_NOT_SUPPORTED: 'Your browser does not support geolocation.',
+    LOCATION_DENIED: 'Please allow location access to see stores near you.\nIf you denied it before, check the permission settings in your browser\'s address bar or settings.',
+    LOCATION_UNAVAILABLE: 'Your current location could not be detected. Please make sure GPS or your network connection is on.',
+    LOCATION_TIMEOUT: 'Getting your location timed out. Please try again later.',
+    LOCATION_UNKNOWN_ERROR: 'Your location could not be determined.',
+    USER_LOCATION_POPUP: 'You are here',
+    FETCH_ERROR: 'Store data is temporarily unavailable. Please check your connection.',
+    SEARCH_PLACEHOLDER: 'Search store name, address or phone',
+    SEARCH_NO_RESULTS: 'No matching stores (flavor filter applied)',
+    NEARBY_TITLE: 'Nearby stores',
+    NEARBY_NO_LOCATION: 'Tap the location button to list the stores closest to you.',
+    NEARBY_EMPTY: 'No stores match the current flavor filter.',
+    SHARE_TITLE: 'Share a link to this map',
+    SHARE_LINK_COPIED: 'Link copied',
+    SHARE_FAILED: 'Could not copy the link. Please copy it from the address bar.',
+    SHARED_STORE_NOT_FOUND: 'The store in this link was not found. It may no longer sell soft serve or is hidden by the filter.',
+    FAVORITE_ADD: 'Save',
+    FAVORITE_REMOVE: 'Saved',
+    FAVORITE_NOTE_PLACEHOLDER: 'Personal note (e.g. machine often broken, has special shapes)',
+    FAVORITE_NOTE_SAVED: 'Note saved',
+    FAVORITES_TITLE: 'My favorites',
+    FAVORITES_ONLY: 'Favorites only',
+    FAVORITES_EMPTY: 'No favorites yet. Tap "Save" in a store\'s details to add one.',
+    FAVORITE_MISSING_BADGE: 'No longer in the latest data',
+    FAVORITE_DELETE: 'Remove',
+    FAVORITES_MISSING: '{count} of your favorite stores are no longer in the latest data. See "My favorites".',
+    CHANGES_TITLE: 'Changes since your last visit',
+    CHANGES_ADDED: '{count} added',
+    CHANGES_UPGRADED: '{count} upgraded (dual flavor or special shape added)',
+    CHANGES_DOWNGRADED: '{count} downgraded',
+    CHANGES_CHANGED: '{count} with changed flavors',
+    CHANGES_REMOVED: '{count} no longer selling',
+    CHANGES_DISMISS: 'Got it',
+    DATA_REPORT_SUMMARY: 'Data check: {rejected} excluded, {suspicious} to review',
+    DATA_REJECTED: '{count} store records are malformed and are not shown on the map.',
+    DATA_ISSUE_MISSING_NAME: 'Missing store name',
+    DATA_ISSUE_MISSING_COORDINATES: 'Missing or unreadable coordinates',
+    DATA_ISSUE_OUT_OF_BOUNDS: 'Coordinates outside Taiwan and its islands',
+    DATA_ISSUE_DUPLICATE_NAME: 'Duplicate store name',
+    DATA_ISSUE_SWAPPED_COORDINATES: 'Latitude and longitude (px/py) looked swapped and were corrected',
+    DATA_ISSUE_COLOR_MISMATCH: 'markerColor does not match flavorType',
+    DATA_ISSUE_UNKNOWN_FLAVOR: 'Unrecognized flavorType',
+    DATA_ISSUE_INVALID_PHONE: 'Malformed phone number',
+    DATA_ISSUE_DUPLICATE_ADDRESS: 'Duplicate address',
+    GROUP_POPUP_TITLE: '{count} stores at this location',
+    DETAIL_ADDRESS: 'Address',
+    DETAIL_PHONE: 'Phone',
+    DETAIL_DISTANCE: '{distance} from you',
+    DETAIL_NAVIGATE: 'Directions',
+    DETAIL_COPY_ADDRESS: 'Copy address',
+    DETAIL_SHARE: 'Share store',
+    DETAIL_CLOSE: 'Close',
+    ADDRESS_COPIED: 'Address copied',
+    COPY_FAILED: 'Could not copy. Please select the text manually.',
+    OFFLINE_TITLE: 'Offline map',
+    OFFLINE_NAME_PLACEHOLDER: 'Area name (optional)',
+    OFFLINE_ZOOM_RANGE: 'Zoom levels',
+    OFFLINE_ESTIMATE: 'About {tiles} tiles, {size}',
+    OFFLINE_TOO_MANY: 'Area too large ({tiles} tiles, limit {max}). Zoom in or narrow the zoom range.',
+    OFFLINE_DOWNLOAD: 'Save this area',
+    OFFLINE_CANCEL: 'Cancel',
+    OFFLINE_PROGRESS: 'Downloading {done} / {total}',
+    OFFLINE_DONE: 'Saved offline area "{name}"',
+    OFFLINE_PARTIAL: 'Saved "{name}", but {failed} tiles failed to download.',
+    OFFLINE_CANCELLED: 'Download cancelled',
+    OFFLINE_FAILED: 'Could not download the offline map. Please check your connection and browser storage.',
+    OFFLINE_EMPTY: 'No saved areas yet.',
+    OFFLINE_AREA_META: 'Zoom {minZoom}–{maxZoom} · {tiles} tiles · {size}',
+    OFFLINE_DELETE: 'Delete',
+    OFFLINE_DEFAULT_NAME: 'Area {date}',
+    UPDATE_AVAILABLE: 'A new version is available',
+    UPDATE_RELOAD: 'Reload',
+    REGION_LABEL: 'Browse by region',
+    REGION_ALL_COUNTIES: 'All counties',
+    REGION_ALL_DISTRICTS: 'All districts',
+    REGION_OPTION: '{name} ({count})',
+    REGION_TOTAL: '{count} stores',
+    STATS_TITLE: 'Ice cream statistics',
+    STATS_UPDATED: 'Data updated {date}, {total} stores in total.',
+    STATS_COMPARED: 'Compared with the data of {date}:',
+    STATS_NO_PREVIOUS: 'Changes will be shown after the next data update.',
+    STATS_CATEGORIES: 'Stores per category',
+    STATS_SPECIAL_SHAPE: 'Share of special shapes',
+    STATS_SPECIAL_SHAPE_COUNT: '({count} of {total} stores)',
+    STATS_POINTS: '{value} percentage points',
+    STATS_TOP_DUAL: 'Districts with the most dual-flavor stores',
+    STATS_COUNTIES: 'By county and district',
+    STATS_FAILED: 'Could not compute statistics',
+    DISPLAY_MODE_LABEL: 'Show',
+    DISPLAY_PINS: 'Store pins',
+    HEATMAP_ALL: 'Density: all stores',
+    HEATMAP_DUAL: 'Density: dual-flavor stores',
+    HEATMAP_SHAPE: 'Density: special-shape stores',
+    HEATMAP_RARITY: 'Density: weighted by rarity',
+    RADAR_TITLE: 'Ice cream radar',
+    RADAR_ENABLED: 'Alert me when I pass a store',
+    RADAR_HINT: 'While your location is on, alerts you near stores of the categories below, once per store each visit.',
+    RADAR_RADIUS: 'Within',
+    RADAR_QUIET_HOURS: 'Quiet hours',
+    RADAR_ALERT_TITLE: '{category} ice cream nearby!',
+    RADAR_ALERT_BODY: '{name}, {distance} away',
+    RADAR_SHOW: 'Show',
+    LOCATION_MANUAL_HINT: 'You can also long-press the map or use a store\'s details to set your location.',
+    MANUAL_LOCATION_TAG: 'Manual',
+    MANUAL_LOCATION_POPUP: 'Location set manually: {label}',
+    MANUAL_LOCATION_SET: 'Your location is now "{label}"',
+    MANUAL_LOCATION_PINNED: 'Point picked on the map',
+    DETAIL_SET_LOCATION: 'Set as my location',
+    LOCATION_MENU_SET: 'Set my location here',
+    PLACE_NAME_PLACEHOLDER: 'Place name, e.g. "Home"',
+    PLACE_SAVE: 'Save place',
+    PLACE_SAVED: 'Saved place "{name}"',
+    PLACE_NAME_REQUIRED: 'Please enter a name for the place',
+    PLACES_TITLE: 'My places',
+    PLACES_SAVE_CURRENT: 'Save current location',
+    PLACES_HINT: 'Tap a place to use it as your location; ☆ makes it the startup location.',
+    PLACES_EMPTY: 'No saved places yet. Long-press the map to add one.',
+    PLACES_NO_LOCATION: 'No location yet. Locate yourself or long-press the map first.',
+    PLACE_IS_DEFAULT: 'Startup location',
+    PLACE_DEFAULT: 'Use as startup location',
+    PLACE_DELETE: 'Delete',
+    LOCATE_FOLLOW_TITLE: 'Follow my location',
+    LOCATE_STOP_TITLE: 'Stop locating',
+    LOCATION_DEBUG_TITLE: 'Location source (testing)',
+    LOCATION_DEBUG_HINT: 'Replace GPS with a fixed point or a GPX/GeoJSON track to try location features without going outside.',
+    LOCATION_DEBUG_GPS: 'Device GPS',
+    LOCATION_DEBUG_FIXED: 'Fixed point',
+    LOCATION_DEBUG_REPLAY: 'Replay a track',
+    LOCATION_DEBUG_LATITUDE: 'Latitude',
+    LOCATION_DEBUG_LONGITUDE: 'Longitude',
+    LOCATION_DEBUG_USE_CENTER: 'Use map center',
+    LOCATION_DEBUG_APPLY: 'Apply',
+    LOCATION_DEBUG_TRACK: 'GPX or GeoJSON file',
+    LOCATION_DEBUG_SPEED: 'Speed',
+    LOCATION_DEBUG_SPEED_OPTION: '{speed}×',
+    LOCATION_DEBUG_INVALID_POINT: 'Please enter a valid latitude and longitude',
+    LOCATION_DEBUG_TRACK_INVALID: 'No track points found in this file',
+    LOCATION_DEBUG_TRACK_FAILED: 'Could not load the track',
+    EXPORT_TITLE: 'Export stores',
+    EXPORT_SCOPE_FILTERED: 'All stores matching the filters',
+    EXPORT_SCOPE_VIEW: 'Only stores in the current view',
+    EXPORT_HINT: 'GeoJSON and KML import into Google My Maps, GPX into OsmAnd, and CSV opens in spreadsheets.',
+    EXPORT_DOCUMENT_TITLE: 'FamilyMart soft serve stores',
+    EXPORT_DONE: 'Exported {count} stores as {format}',
+    EXPORT_EMPTY: 'No stores to export. Try changing the filters or the map view.',
+    EXPORT_FAILED: 'Export failed. Please try again later.'
+};
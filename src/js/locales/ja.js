@@ -0,0 +1,169 @@
+/**
+ * Japanese messages
+ */
+export const MESSAGES = {
+    APP_TITLE: 'ファミリーマート ソフトクリームマップ | シングル・ダブルフレーバーの店舗を探す',
+    LANGUAGE_LABEL: '言語',
+    LEAFLET_MISSING: '地図ライブラリ (Leaflet) を読み込めませんでした。ネットワーク接続を確認してください。',
+    OFFLINE_MODE: 'オフラインのため、地図や店舗データを読み込めません。',
+    NETWORK_ONLINE: 'ネットワークに接続しました',
+    NETWORK_OFFLINE: 'ネットワークが切断されました',
+    LAST_UPDATED: 'データ最終更新: {date}',
+    LOCATE_TITLE: '現在地を表示',
+    CATEGORY_BLUE: 'シングルフレーバー',
+    CATEGORY_RED: 'ダブルフレーバー',
+    CATEGORY_BLUE_STRIPED: 'シングル + 特別な形',
+    CATEGORY_RED_STRIPED: 'ダブル + 特別な形',
+    PRESET_ALL: 'すべて',
+    PRESET_DUAL: 'ダブル',
+    PRESET_SHAPE: '特別な形',
+    NAVIGATION_GOOGLE: 'Google マップ',
+    NAVIGATION_APPLE: 'Apple マップ',
+    NAVIGATION_OSM: 'OpenStreetMap',
+    LOCATION_NOT_SUPPORTED: 'お使いのブラウザは位置情報に対応していません。',
+    LOCATION_DENIED: '近くの店舗を表示するには位置情報へのアクセスを許可してください。\n以前に拒否した場合は、ブラウザのアドレスバーまたは設定で権限を確認してください。',
+    LOCATION_UNAVAILABLE: '現在地を検出できません。GPS またはネットワーク接続がオンになっているか確認してください。',
+    LOCATION_TIMEOUT: '位置情報の取得がタイムアウトしました。しばらくしてから再度お試しください。',
+    LOCATION_UNKNOWN_ERROR: '現在地を取得できません。',
+    USER_LOCATION_POPUP: '現在地',
+    FETCH_ERROR: '店舗データを取得できません。ネットワーク接続を確認してください。',
+    SEARCH_PLACEHOLDER: '店名・住所・電話番号で検索',
+    SEARCH_NO_RESULTS: '該当する店舗がありません（フレーバー絞り込み適用中）',
+    NEARBY_TITLE: '近くの店舗',
+    NEARBY_NO_LOCATION: '現在地ボタンを押すと、近い順に店舗を表示します。',
+    NEARBY_EMPTY: '現在のフレーバー絞り込みに該当する店舗はありません。',
+    SHARE_TITLE: 'この地図のリンクを共有',
+    SHARE_LINK_COPIED: 'リンクをコピーしました',
+    SHARE_FAILED: 'リンクをコピーできませんでした。アドレスバーから手動でコピーしてください。',
+    SHARED_STORE_NOT_FOUND: 'リンク先の店舗が見つかりません。販売終了したか、絞り込みで非表示になっている可能性があります。',
+    FAVORITE_ADD: 'お気に入り',
+    FAVORITE_REMOVE: '登録済み',
+    FAVORITE_NOTE_PLACEHOLDER: '個人メモ（例：機械がよく故障、特別な形あり）',
+    FAVORITE_NOTE_SAVED: 'メモを保存しました',
+    FAVORITES_TITLE: 'お気に入り',
+    FAVORITES_ONLY: 'お気に入りのみ表示',
+    FAVORITES_EMPTY: 'お気に入りはまだありません。店舗情報の「お気に入り」から追加できます。',
+    FAVORITE_MISSING_BADGE: '最新データに存在しません',
+    FAVORITE_DELETE: '削除',
+    FAVORITES_MISSING: 'お気に入りのうち {count} 店舗が最新データにありません。「お気に入り」を確認してください。',
+    CHANGES_TITLE: '前回の訪問以降の変更',
+    CHANGES_ADDED: '追加 {count} 店舗',
+    CHANGES_UPGRADED: 'アップグレード {count} 店舗（ダブルまたは特別な形を追加）',
+    CHANGES_DOWNGRADED: 'ダウングレード {count} 店舗',
+    CHANGES_CHANGED: 'フレーバー変更 {count} 店舗',
+    CHANGES_REMOVED: '販売終了 {count} 店舗',
+    CHANGES_DISMISS: 'OK',
+    DATA_REPORT_SUMMARY: 'データチェック：除外 {rejected} 件、要確認 {suspicious} 件',
+    DATA_REJECTED: '{count} 件の店舗データに誤りがあるため、地図に表示していません。',
+    DATA_ISSUE_MISSING_NAME: '店名がありません',
+    DATA_ISSUE_MISSING_COORDINATES: '座標がないか解析できません',
+    DATA_ISSUE_OUT_OF_BOUNDS: '座標が台湾本島・離島の範囲外です',
+    DATA_ISSUE_DUPLICATE_NAME: '店名の重複',
+    DATA_ISSUE_SWAPPED_COORDINATES: '緯度・経度 (px/py) が逆だったため自動修正しました',
+    DATA_ISSUE_COLOR_MISMATCH: 'markerColor と flavorType が一致しません',
+    DATA_ISSUE_UNKNOWN_FLAVOR: '不明な flavorType',
+    DATA_ISSUE_INVALID_PHONE: '電話番号の形式が正しくありません',
+    DATA_ISSUE_DUPLICATE_ADDRESS: '住所の重複',
+    GROUP_POPUP_TITLE: 'この場所には {count} 店舗あります',
+    DETAIL_ADDRESS: '住所',
+    DETAIL_PHONE: '電話',
+    DETAIL_DISTANCE: '現在地から {distance}',
+    DETAIL_NAVIGATE: '経路案内',
+    DETAIL_COPY_ADDRESS: '住所をコピー',
+    DETAIL_SHARE: '店舗を共有',
+    DETAIL_CLOSE: '閉じる',
+    ADDRESS_COPIED: '住所をコピーしました',
+    COPY_FAILED: 'コピーできませんでした。テキストを手動で選択してください。',
+    OFFLINE_TITLE: 'オフライン地図',
+    OFFLINE_NAME_PLACEHOLDER: 'エリア名（任意）',
+    OFFLINE_ZOOM_RANGE: 'ズームレベル',
+    OFFLINE_ESTIMATE: '約 {tiles} タイル、{size}',
+    OFFLINE_TOO_MANY: '範囲が広すぎます（{tiles} タイル、上限 {max}）。地図を拡大するかズーム範囲を狭めてください。',
+    OFFLINE_DOWNLOAD: 'この範囲を保存',
+    OFFLINE_CANCEL: 'キャンセル',
+    OFFLINE_PROGRESS: 'ダウンロード中 {done} / {total}',
+    OFFLINE_DONE: 'オフライン地図「{name}」を保存しました',
+    OFFLINE_PARTIAL: '「{name}」を保存しましたが、{failed} タイルのダウンロードに失敗しました。',
+    OFFLINE_CANCELLED: 'ダウンロードをキャンセルしました',
+    OFFLINE_FAILED: 'オフライン地図をダウンロードできません。ネットワーク接続とブラウザの空き容量を確認してください。',
+    OFFLINE_EMPTY: '保存したエリアはまだありません。',
+    OFFLINE_AREA_META: 'ズーム {minZoom}–{maxZoom}・{tiles} タイル・{size}',
+    OFFLINE_DELETE: '削除',
+    OFFLINE_DEFAULT_NAME: 'エリア {date}',
+    UPDATE_AVAILABLE: '新しいバージョンがあります',
+    UPDATE_RELOAD: '再読み込み',
+    REGION_LABEL: '地域で絞り込む',
+    REGION_ALL_COUNTIES: 'すべての県市',
+    REGION_ALL_DISTRICTS: 'すべての区・郷鎮',
+    REGION_OPTION: '{name}（{count}）',
+    REGION_TOTAL: '計 {count} 店舗',
+    STATS_TITLE: 'ソフトクリーム統計',
+    STATS_UPDATED: 'データ更新：{date}、合計 {total} 店舗。',
+    STATS_COMPARED: '{date} のデータとの比較：',
+    STATS_NO_PREVIOUS: '次回のデータ更新後に変化を表示します。',
+    STATS_CATEGORIES: 'カテゴリ別の店舗数',
+    STATS_SPECIAL_SHAPE: '特殊造形の割合',
+    STATS_SPECIAL_SHAPE_COUNT: '（{total} 店舗中 {count} 店舗）',
+    STATS_POINTS: '{value} ポイント',
+    STATS_TOP_DUAL: 'ダブルフレーバー店舗が多い地区',
+    STATS_COUNTIES: '県市・地区別',
+    STATS_FAILED: '統計を計算できませんでした',
+    DISPLAY_MODE_LABEL: '表示',
+    DISPLAY_PINS: '店舗マーカー',
+    HEATMAP_ALL: '密度：すべての店舗',
+    HEATMAP_DUAL: '密度：ダブルフレーバー店舗',
+    HEATMAP_SHAPE: '密度：特殊造形店舗',
+    HEATMAP_RARITY: '密度：希少度で重み付け',
+    RADAR_TITLE: 'ソフトクリームレーダー',
+    RADAR_ENABLED: '店舗の近くを通ったら通知する',
+    RADAR_HINT: '位置情報がオンの間、下のカテゴリの店舗に近づくと通知します（各店舗につき利用ごとに 1 回）。',
+    RADAR_RADIUS: '距離',
+    RADAR_QUIET_HOURS: 'おやすみ時間',
+    RADAR_ALERT_TITLE: '近くに{category}のソフトクリーム！',
+    RADAR_ALERT_BODY: '{name}、{distance}先',
+    RADAR_SHOW: '表示',
+    LOCATION_MANUAL_HINT: '地図の長押しや店舗情報から、位置を手動で設定することもできます。',
+    MANUAL_LOCATION_TAG: '手動',
+    MANUAL_LOCATION_POPUP: '手動で設定した位置：{label}',
+    MANUAL_LOCATION_SET: '現在地を「{label}」に設定しました',
+    MANUAL_LOCATION_PINNED: '地図上で選んだ地点',
+    DETAIL_SET_LOCATION: '現在地に設定',
+    LOCATION_MENU_SET: 'ここを現在地にする',
+    PLACE_NAME_PLACEHOLDER: '地点名（例：自宅）',
+    PLACE_SAVE: '地点を保存',
+    PLACE_SAVED: '地点「{name}」を保存しました',
+    PLACE_NAME_REQUIRED: '地点名を入力してください',
+    PLACES_TITLE: 'マイ地点',
+    PLACES_SAVE_CURRENT: '現在地を保存',
+    PLACES_HINT: '地点をタップすると現在地に設定します。☆ で起動時の位置にします。',
+    PLACES_EMPTY: '保存した地点はありません。地図を長押しして追加できます。',
+    PLACES_NO_LOCATION: 'まだ位置がありません。現在地を取得するか、地図を長押ししてください。',
+    PLACE_IS_DEFAULT: '起動時の位置',
+    PLACE_DEFAULT: '起動時の位置にする',
+    PLACE_DELETE: '削除',
+    LOCATE_FOLLOW_TITLE: '現在地を追従',
+    LOCATE_STOP_TITLE: '位置情報を停止',
+    LOCATION_DEBUG_TITLE: '位置情報ソース（テスト）',
+    LOCATION_DEBUG_HINT: 'GPS の代わりに固定地点や GPX／GeoJSON のルートを使い、外出せずに位置情報機能を試せます。',
+    LOCATION_DEBUG_GPS: '端末の GPS',
+    LOCATION_DEBUG_FIXED: '固定地点',
+    LOCATION_DEBUG_REPLAY: 'ルートを再生',
+    LOCATION_DEBUG_LATITUDE: '緯度',
+    LOCATION_DEBUG_LONGITUDE: '経度',
+    LOCATION_DEBUG_USE_CENTER: '地図の中心を使う',
+    LOCATION_DEBUG_APPLY: '適用',
+    LOCATION_DEBUG_TRACK: 'GPX または GeoJSON ファイル',
+    LOCATION_DEBUG_SPEED: '速度',
+    LOCATION_DEBUG_SPEED_OPTION: '{speed} 倍速',
+    LOCATION_DEBUG_INVALID_POINT: '有効な緯度と経度を入力してください',
+    LOCATION_DEBUG_TRACK_INVALID: 'ファイルにルートの地点が見つかりません',
+    LOCATION_DEBUG_TRACK_FAILED: 'ルートを読み込めませんでした',
+    EXPORT_TITLE: '店舗をエクスポート',
+    EXPORT_SCOPE_FILTERED: '絞り込み条件に合うすべての店舗',
+    EXPORT_SCOPE_VIEW: '表示範囲内の店舗のみ',
+    EXPORT_HINT: 'GeoJSON と KML は Google マイマップ、GPX は OsmAnd に取り込めます。CSV は表計算ソフトで開けます。',
+    EXPORT_DOCUMENT_TITLE: 'ファミリーマート ソフトクリーム店舗',
+    EXPORT_DONE: '{count} 店舗を {format} でエクスポートしました',
+    EXPORT_EMPTY: 'エクスポートする店舗がありません。絞り込み条件か地図の範囲を変えてください。',
+    EXPORT_FAILED: 'エクスポートに失敗しました。しばらくしてから再度お試しください。'
+};
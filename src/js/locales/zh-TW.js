@@ -0,0 +1,171 @@
+/**
+ * Traditional Chinese (Taiwan) messages
+ * The default locale; other bundles fall back to these keys
+ * Placeholders in braces (e.g. {count}) are filled in by I18nService.t
+ */
+export const MESSAGES = {
+    APP_TITLE: '全家便利商店霜淇淋地圖 | 尋找單口味與雙口味店舖',
+    LANGUAGE_LABEL: '語言',
+    LEAFLET_MISSING: '地圖元件 (Leaflet) 未載入，請檢查網路連線',
+    OFFLINE_MODE: '目前處於離線模式，無法載入地圖或更新資料',
+    NETWORK_ONLINE: '網路已連線',
+    NETWORK_OFFLINE: '網路已斷線',
+    LAST_UPDATED: '資料最後更新時間: {date}',
+    LOCATE_TITLE: '顯示我的位置',
+    CATEGORY_BLUE: '單口味',
+    CATEGORY_RED: '雙口味',
+    CATEGORY_BLUE_STRIPED: '單口味 + 特殊造型',
+    CATEGORY_RED_STRIPED: '雙口味 + 特殊造型',
+    PRESET_ALL: '全部',
+    PRESET_DUAL: '雙口味',
+    PRESET_SHAPE: '特殊造型',
+    NAVIGATION_GOOGLE: 'Google 地圖',
+    NAVIGATION_APPLE: 'Apple 地圖',
+    NAVIGATION_OSM: 'OpenStreetMap',
+    LOCATION_NOT_SUPPORTED: '您的瀏覽器不支援地理位置功能',
+    LOCATION_DENIED: '請允許存取位置資訊以顯示您附近的店舖。\n若您先前已拒絕，請檢查瀏覽器網址列或設定中的權限設定。',
+    LOCATION_UNAVAILABLE: '無法偵測到您的目前位置，請確認您的裝置已開啟 GPS 或連上網路。',
+    LOCATION_TIMEOUT: '取得位置資訊逾時，請稍後再試。',
+    LOCATION_UNKNOWN_ERROR: '無法取得您的位置。',
+    USER_LOCATION_POPUP: '您的目前位置',
+    FETCH_ERROR: '暫時無法取得店舖資料，請檢查網路連線。',
+    SEARCH_PLACEHOLDER: '搜尋店名、地址或電話',
+    SEARCH_NO_RESULTS: '找不到符合的店舖（已套用口味篩選）',
+    NEARBY_TITLE: '附近店舖',
+    NEARBY_NO_LOCATION: '請先點選定位按鈕，即可列出離您最近的店舖。',
+    NEARBY_EMPTY: '沒有符合目前口味篩選的店舖。',
+    SHARE_TITLE: '分享目前地圖連結',
+    SHARE_LINK_COPIED: '已複製連結',
+    SHARE_FAILED: '無法複製連結，請手動複製網址列。',
+    SHARED_STORE_NOT_FOUND: '找不到連結中的店舖，可能已不再販售或已被篩選隱藏。',
+    FAVORITE_ADD: '收藏',
+    FAVORITE_REMOVE: '已收藏',
+    FAVORITE_NOTE_PLACEHOLDER: '個人備註（例如：機器常故障、有圓滾滾）',
+    FAVORITE_NOTE_SAVED: '已儲存備註',
+    FAVORITES_TITLE: '我的收藏',
+    FAVORITES_ONLY: '只顯示收藏',
+    FAVORITES_EMPTY: '尚未收藏任何店舖，點選店舖資訊中的「收藏」即可加入。',
+    FAVORITE_MISSING_BADGE: '已不在最新資料中',
+    FAVORITE_DELETE: '移除',
+    FAVORITES_MISSING: '有 {count} 間收藏的店舖已不在最新資料中，請查看「我的收藏」。',
+    CHANGES_TITLE: '自上次造訪後的資料變更',
+    CHANGES_ADDED: '新增 {count} 間',
+    CHANGES_UPGRADED: '升級 {count} 間（新增雙口味或特殊造型）',
+    CHANGES_DOWNGRADED: '降級 {count} 間',
+    CHANGES_CHANGED: '口味調整 {count} 間',
+    CHANGES_REMOVED: '不再販售 {count} 間',
+    CHANGES_DISMISS: '知道了',
+    DATA_REPORT_SUMMARY: '資料檢查：排除 {rejected} 筆、待確認 {suspicious} 筆',
+    DATA_REJECTED: '有 {count} 筆店舖資料格式錯誤，未顯示於地圖上。',
+    DATA_ISSUE_MISSING_NAME: '缺少店名',
+    DATA_ISSUE_MISSING_COORDINATES: '缺少或無法解析座標',
+    DATA_ISSUE_OUT_OF_BOUNDS: '座標不在台灣本島或離島範圍內',
+    DATA_ISSUE_DUPLICATE_NAME: '店名重複',
+    DATA_ISSUE_SWAPPED_COORDINATES: '經緯度 (px/py) 疑似對調，已自動修正',
+    DATA_ISSUE_COLOR_MISMATCH: 'markerColor 與 flavorType 不一致',
+    DATA_ISSUE_UNKNOWN_FLAVOR: '無法辨識的 flavorType',
+    DATA_ISSUE_INVALID_PHONE: '電話格式不正確',
+    DATA_ISSUE_DUPLICATE_ADDRESS: '地址重複',
+    GROUP_POPUP_TITLE: '此地點共有 {count} 間店舖',
+    DETAIL_ADDRESS: '地址',
+    DETAIL_PHONE: '電話',
+    DETAIL_DISTANCE: '距離您 {distance}',
+    DETAIL_NAVIGATE: '導航',
+    DETAIL_COPY_ADDRESS: '複製地址',
+    DETAIL_SHARE: '分享店舖',
+    DETAIL_CLOSE: '關閉',
+    ADDRESS_COPIED: '已複製地址',
+    COPY_FAILED: '無法複製，請手動選取文字。',
+    OFFLINE_TITLE: '離線地圖',
+    OFFLINE_NAME_PLACEHOLDER: '區域名稱（選填）',
+    OFFLINE_ZOOM_RANGE: '縮放層級',
+    OFFLINE_ESTIMATE: '約 {tiles} 張圖磚，{size}',
+    OFFLINE_TOO_MANY: '範圍過大（{tiles} 張圖磚，上限 {max} 張），請放大地圖或縮小層級範圍。',
+    OFFLINE_DOWNLOAD: '儲存目前範圍',
+    OFFLINE_CANCEL: '取消',
+    OFFLINE_PROGRESS: '下載中 {done} / {total}',
+    OFFLINE_DONE: '已儲存離線地圖「{name}」',
+    OFFLINE_PARTIAL: '已儲存「{name}」，但有 {failed} 張圖磚下載失敗。',
+    OFFLINE_CANCELLED: '已取消下載',
+    OFFLINE_FAILED: '無法下載離線地圖，請確認網路連線與瀏覽器儲存空間。',
+    OFFLINE_EMPTY: '尚未儲存任何區域。',
+    OFFLINE_AREA_META: '層級 {minZoom}–{maxZoom}・{tiles} 張・{size}',
+    OFFLINE_DELETE: '刪除',
+    OFFLINE_DEFAULT_NAME: '區域 {date}',
+    UPDATE_AVAILABLE: '已有新版本可使用',
+    UPDATE_RELOAD: '重新載入',
+    REGION_LABEL: '依縣市瀏覽',
+    REGION_ALL_COUNTIES: '全部縣市',
+    REGION_ALL_DISTRICTS: '全部鄉鎮市區',
+    REGION_OPTION: '{name}（{count}）',
+    REGION_TOTAL: '共 {count} 家店舖',
+    STATS_TITLE: '霜淇淋統計',
+    STATS_UPDATED: '資料更新於 {date}，共 {total} 間店舖。',
+    STATS_COMPARED: '與 {date} 的資料相比：',
+    STATS_NO_PREVIOUS: '下次資料更新後即可比較變化。',
+    STATS_CATEGORIES: '各口味類別店舖數',
+    STATS_SPECIAL_SHAPE: '特殊造型比例',
+    STATS_SPECIAL_SHAPE_COUNT: '（{total} 間中有 {count} 間）',
+    STATS_POINTS: '{value} 個百分點',
+    STATS_TOP_DUAL: '雙口味店舖最多的鄉鎮市區',
+    STATS_COUNTIES: '各縣市與鄉鎮市區',
+    STATS_FAILED: '無法計算統計資料',
+    DISPLAY_MODE_LABEL: '顯示方式',
+    DISPLAY_PINS: '店舖標記',
+    HEATMAP_ALL: '密度：全部店舖',
+    HEATMAP_DUAL: '密度：雙口味店舖',
+    HEATMAP_SHAPE: '密度：特殊造型店舖',
+    HEATMAP_RARITY: '密度：依稀有程度加權',
+    RADAR_TITLE: '霜淇淋雷達',
+    RADAR_ENABLED: '經過附近店舖時通知我',
+    RADAR_HINT: '定位期間，靠近下列類別的店舖時發出通知；每間店舖每次使用只通知一次。',
+    RADAR_RADIUS: '距離',
+    RADAR_QUIET_HOURS: '勿擾時段',
+    RADAR_ALERT_TITLE: '附近有{category}霜淇淋！',
+    RADAR_ALERT_BODY: '{name}，距離 {distance}',
+    RADAR_SHOW: '查看',
+    LOCATION_MANUAL_HINT: '也可以長按地圖，或在店舖資訊中手動設定位置。',
+    MANUAL_LOCATION_TAG: '手動',
+    MANUAL_LOCATION_POPUP: '手動設定的位置：{label}',
+    MANUAL_LOCATION_SET: '已將位置設為「{label}」',
+    MANUAL_LOCATION_PINNED: '地圖上選取的位置',
+    DETAIL_SET_LOCATION: '設為我的位置',
+    LOCATION_MENU_SET: '將我的位置設在這裡',
+    PLACE_NAME_PLACEHOLDER: '地點名稱，例如「家」',
+    PLACE_SAVE: '儲存地點',
+    PLACE_SAVED: '已儲存地點「{name}」',
+    PLACE_NAME_REQUIRED: '請先輸入地點名稱',
+    PLACES_TITLE: '我的地點',
+    PLACES_SAVE_CURRENT: '儲存目前位置',
+    PLACES_HINT: '點選地點即可設為目前位置；☆ 設為開啟時的預設位置。',
+    PLACES_EMPTY: '尚未儲存地點，長按地圖即可新增。',
+    PLACES_NO_LOCATION: '尚未取得位置，請先定位或長按地圖。',
+    PLACE_IS_DEFAULT: '開啟時的預設位置',
+    PLACE_DEFAULT: '設為開啟時的預設位置',
+    PLACE_DELETE: '刪除',
+    LOCATE_FOLLOW_TITLE: '跟隨我的位置',
+    LOCATE_STOP_TITLE: '停止定位',
+    LOCATION_DEBUG_TITLE: '定位來源（測試）',
+    LOCATION_DEBUG_HINT: '以固定地點或 GPX／GeoJSON 路線取代 GPS，不必出門也能測試定位相關功能。',
+    LOCATION_DEBUG_GPS: '裝置 GPS',
+    LOCATION_DEBUG_FIXED: '固定地點',
+    LOCATION_DEBUG_REPLAY: '重播路線',
+    LOCATION_DEBUG_LATITUDE: '緯度',
+    LOCATION_DEBUG_LONGITUDE: '經度',
+    LOCATION_DEBUG_USE_CENTER: '使用地圖中心',
+    LOCATION_DEBUG_APPLY: '套用',
+    LOCATION_DEBUG_TRACK: 'GPX 或 GeoJSON 檔案',
+    LOCATION_DEBUG_SPEED: '速度',
+    LOCATION_DEBUG_SPEED_OPTION: '{speed} 倍',
+    LOCATION_DEBUG_INVALID_POINT: '請輸入有效的緯度與經度',
+    LOCATION_DEBUG_TRACK_INVALID: '檔案中找不到路線點',
+    LOCATION_DEBUG_TRACK_FAILED: '無法載入路線',
+    EXPORT_TITLE: '匯出店舖',
+    EXPORT_SCOPE_FILTERED: '所有符合篩選條件的店舖',
+    EXPORT_SCOPE_VIEW: '僅目前畫面內的店舖',
+    EXPORT_HINT: 'GeoJSON 與 KML 可匯入 Google 我的地圖，GPX 可匯入 OsmAnd，CSV 可用試算表開啟。',
+    EXPORT_DOCUMENT_TITLE: '全家霜淇淋店舖',
+    EXPORT_DONE: '已匯出 {count} 間店舖（{format}）',
+    EXPORT_EMPTY: '沒有可匯出的店舖，請調整篩選條件或地圖範圍',
+    EXPORT_FAILED: '匯出失敗，請稍後再試'
+};
@@ -4,8 +4,30 @@ import { ServiceWorkerService } from './services/ServiceWorkerService.js';
 import { StoreService } from './services/StoreService.js';
 import { LocationService } from './services/LocationService.js';
 import { NotificationService } from './services/NotificationService.js';
+import { FilterService } from './services/FilterService.js';
+import { FavoritesService } from './services/FavoritesService.js';
+import { OfflineTileService } from './services/OfflineTileService.js';
+import { ProximityAlertService } from './services/ProximityAlertService.js';
+import { PlacesService } from './services/PlacesService.js';
 import { LoadingController } from './controllers/LoadingController.js';
 import { MapController } from './controllers/MapController.js';
+import { SearchController } from './controllers/SearchController.js';
+import { NearbyController } from './controllers/NearbyController.js';
+import { DeepLinkController } from './controllers/DeepLinkController.js';
+import { FavoritesController } from './controllers/FavoritesController.js';
+import { ChangesController } from './controllers/ChangesController.js';
+import { StoreActionsController } from './controllers/StoreActionsController.js';
+import { LanguageController } from './controllers/LanguageController.js';
+import { OfflineAreasController } from './controllers/OfflineAreasController.js';
+import { RegionController } from './controllers/RegionController.js';
+import { StatsController } from './controllers/StatsController.js';
+import { RadarController } from './controllers/RadarController.js';
+import { PlacesController } from './controllers/PlacesController.js';
+import { LocationDebugController } from './controllers/LocationDebugController.js';
+import { ExportController } from './controllers/ExportController.js';
+import { UrlStateService } from './services/UrlStateService.js';
+import { I18nService } from './services/I18nService.js';
+import { StoreWorkerError } from './helpers/StoreWorkerError.js';
 
 /**
  * Main Application Controller
@@ -16,39 +38,98 @@ class App {
         this.loadingController = new LoadingController();
         this.notificationService = new NotificationService();
         this.locationService = new LocationService();
-        this.mapController = new MapController(CONFIG.MAP_ID, this.notificationService, this.locationService);
+        this.filterService = new FilterService();
+        this.favoritesService = new FavoritesService();
+        this.offlineTileService = new OfflineTileService();
+        this.proximityAlertService = new ProximityAlertService();
+        this.placesService = new PlacesService();
+        this.mapController = new MapController(CONFIG.MAP_ID, this.notificationService, this.locationService, this.filterService, this.favoritesService);
+        this.searchController = new SearchController(this.mapController, this.filterService);
+        this.nearbyController = new NearbyController(this.mapController, this.locationService, this.filterService);
+        this.deepLinkController = new DeepLinkController(this.mapController, this.filterService, this.searchController, this.notificationService);
+        this.favoritesController = new FavoritesController(this.mapController, this.favoritesService, this.notificationService);
+        this.changesController = new ChangesController(this.mapController);
+        this.storeActionsController = new StoreActionsController(this.mapController, this.deepLinkController, this.notificationService);
+        this.languageController = new LanguageController(this.mapController);
+        this.offlineAreasController = new OfflineAreasController(this.mapController, this.offlineTileService, this.notificationService);
+        this.regionController = new RegionController(this.mapController, this.filterService);
+        this.statsController = new StatsController(this.mapController, this.notificationService);
+        this.radarController = new RadarController(this.mapController, this.locationService, this.proximityAlertService, this.notificationService);
+        this.placesController = new PlacesController(this.mapController, this.placesService, this.locationService, this.notificationService);
+        this.locationDebugController = new LocationDebugController(this.mapController, this.locationService, this.notificationService);
+        this.exportController = new ExportController(this.mapController, this.filterService, this.notificationService);
+
+        // "Favorites only" filtering needs to know which stores are starred
+        this.favoritesService.on('change', (favoriteIds) => this.filterService.setFavoriteIds(favoriteIds));
     }
 
     async init() {
         try {
+            // Apply the detected language to the document itself
+            document.documentElement.lang = I18nService.locale;
+            document.title = I18nService.t('APP_TITLE');
+
             // Register Service Worker
-            ServiceWorkerService.register();
+            ServiceWorkerService.register(this.notificationService);
 
             // Initialize Offline Listener
             this._initOfflineListener();
 
             // Check if Leaflet is loaded (CDN might fail if offline)
             if (typeof L === 'undefined') {
-                throw new Error('地圖元件 (Leaflet) 未載入，請檢查網路連線');
+                throw new Error(I18nService.t('LEAFLET_MISSING'));
             }
 
-            // Check if MarkerCluster is loaded
-            if (typeof L.markerClusterGroup === 'undefined') {
-                throw new Error('地圖叢集元件 (MarkerCluster) 未載入，請檢查網路連線');
+            // Restore shared state (view, filter, store, search) before anything moves the map
+            // A shared filter applies to this visit only, leaving the saved one alone
+            const urlState = UrlStateService.read();
+            if (urlState.categories) {
+                this.filterService.setCategories(urlState.categories, { persist: false });
             }
 
             // Initialize Map
-            this.mapController.init();
+            this.mapController.init(urlState.view);
+            this.searchController.init();
+            this.nearbyController.init();
+            this.favoritesController.init();
+            this.storeActionsController.init();
+            this.languageController.init();
+            this.offlineAreasController.init();
+            this.regionController.init();
+            this.statsController.init();
+            this.radarController.init();
+            this.placesController.init();
+            this.exportController.init();
+            await this.locationDebugController.init(UrlStateService.readPositionFlags());
             
-            // Auto-locate on load
-            this.mapController.locateUser();
+            // Start from the default saved place if there is one, otherwise auto-locate;
+            // either way a shared view stays in place. A simulated location always wins
+            if (this.locationDebugController.isSimulated || !this.placesController.applyDefault(!urlState.view)) {
+                this.mapController.locateUser(false, !urlState.view);
+            }
 
             // Show loading initially (though it's visible by default)
             this.loadingController.show();
 
-            const { stores, lastUpdated } = await StoreService.fetchStores();
-            this.mapController.renderMarkers(stores);
-            this.mapController.updateLastUpdatedTime(lastUpdated);
+            // Favorites load alongside the dataset; both are needed before markers are drawn
+            const [cached] = await Promise.all([
+                StoreService.loadCachedStores().catch(error => {
+                    console.warn('Cached store data unavailable:', error);
+                    return null;
+                }),
+                this.favoritesService.load()
+            ]);
+
+            // A cached dataset renders at once and is revalidated in the background;
+            // without one, the first visit waits for the network
+            this._showDataset(cached || await StoreService.fetchStores());
+
+            this._restoreUrlSelection(urlState);
+            this.deepLinkController.init();
+
+            if (cached) {
+                this._revalidateDataset(cached.lastUpdated);
+            }
 
         } catch (error) {
             console.error('Application initialization failed:', error);
@@ -57,9 +138,11 @@ class App {
             
             // Check specific error types or network status
             if (!navigator.onLine) {
-                 this.notificationService.show('目前處於離線模式，無法載入地圖或更新資料', 'error');
+                 this.notificationService.show(I18nService.t('OFFLINE_MODE'), 'error');
+            } else if (error.code === StoreWorkerError.CODES.FETCH_FAILED) {
+                 this.notificationService.show(I18nService.t('FETCH_ERROR'), 'error');
             } else {
-                 this.notificationService.show(error.message || CONFIG.MESSAGES.FETCH_ERROR, 'error');
+                 this.notificationService.show(error.message || I18nService.t('FETCH_ERROR'), 'error');
             }
         } finally {
             // Ensure loading is hidden if we succeeded or if we handled the error
@@ -70,12 +153,71 @@ class App {
         }
     }
 
+    /**
+     * Draws a dataset and refreshes everything derived from it
+     * @param {{stores: Array, lastUpdated: string, diff: (Object|null), report: Object}} dataset
+     */
+    _showDataset({ stores, lastUpdated, diff, report }) {
+        this.mapController.renderMarkers(stores);
+        this.favoritesController.reconcile(stores);
+        this.changesController.show(diff);
+        this.mapController.updateLastUpdatedTime(lastUpdated);
+        this._reportDataIntegrity(report);
+        this.nearbyController.refresh();
+        this.regionController.refresh();
+        this.statsController.refresh();
+    }
+
+    /**
+     * Swaps in fresh data when the server has a newer dataset than the cached one
+     * Failures are quiet: the cached data stays usable, e.g. on a flaky connection
+     * @param {string} lastUpdated - Timestamp of the dataset on screen
+     */
+    async _revalidateDataset(lastUpdated) {
+        try {
+            const fresh = await StoreService.fetchStores({ ifNewerThan: lastUpdated });
+            if (fresh) {
+                this._showDataset(fresh);
+            }
+        } catch (error) {
+            console.warn('Store data revalidation failed:', error);
+        }
+    }
+
+    /**
+     * Re-opens the store and search from a shared link once markers exist
+     * @param {Object} urlState 
+     */
+    _restoreUrlSelection(urlState) {
+        if (urlState.query) {
+            this.searchController.setQuery(urlState.query);
+        }
+        if (urlState.storeId && !this.mapController.focusStore(urlState.storeId)) {
+            this.notificationService.show(I18nService.t('SHARED_STORE_NOT_FOUND'), 'error');
+        }
+    }
+
+    /**
+     * Surfaces rows the worker rejected or flagged while validating the dataset
+     * @param {Object} report 
+     */
+    _reportDataIntegrity(report) {
+        this.mapController.updateDataReport(report);
+
+        if (report.rejected > 0 || report.suspicious > 0) {
+            console.warn('Store data validation issues:', report.issues);
+        }
+        if (report.rejected > 0) {
+            this.notificationService.show(I18nService.t('DATA_REJECTED', { count: report.rejected }), 'error');
+        }
+    }
+
     _initOfflineListener() {
         window.addEventListener('online', () => {
-            this.notificationService.show('網路已連線', 'info');
+            this.notificationService.show(I18nService.t('NETWORK_ONLINE'), 'info');
         });
         window.addEventListener('offline', () => {
-            this.notificationService.show('網路已斷線', 'error');
+            this.notificationService.show(I18nService.t('NETWORK_OFFLINE'), 'error');
         });
     }
 }
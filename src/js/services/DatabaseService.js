@@ -0,0 +1,112 @@
+import { CONFIG } from '../config.js';
+
+let dbPromise = null;
+
+/**
+ * Thin promise wrapper around the app's IndexedDB database
+ * Free of DOM access so the store worker can share it
+ */
+export class DatabaseService {
+    /**
+     * Opens (and upgrades) the database once per context
+     * @returns {Promise<IDBDatabase>}
+     */
+    static open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(CONFIG.DATABASE.NAME, CONFIG.DATABASE.VERSION);
+
+            request.onupgradeneeded = (e) => {
+                DatabaseService._upgrade(request.result, e.oldVersion);
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer tab or worker upgrade the schema; the next call reopens
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            // An older connection elsewhere holds the previous version; callers fall back instead of waiting
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another connection'));
+        });
+
+        // Allow a later retry if opening failed (e.g. blocked by private mode)
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    /**
+     * Applies schema changes step by step from the previous version
+     * @param {IDBDatabase} db 
+     * @param {number} oldVersion 
+     */
+    static _upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            db.createObjectStore(CONFIG.DATABASE.STORES.FAVORITES, { keyPath: 'storeId' });
+        }
+        if (oldVersion < 2) {
+            db.createObjectStore(CONFIG.DATABASE.STORES.SNAPSHOTS, { keyPath: 'key' });
+        }
+        if (oldVersion < 3) {
+            db.createObjectStore(CONFIG.DATABASE.STORES.OFFLINE_AREAS, { keyPath: 'id' });
+        }
+        if (oldVersion < 4) {
+            db.createObjectStore(CONFIG.DATABASE.STORES.DATASETS, { keyPath: 'key' });
+        }
+    }
+
+    /**
+     * @param {string} storeName 
+     * @returns {Promise<Array>}
+     */
+    static getAll(storeName) {
+        return this._run(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * @param {string} storeName 
+     * @param {IDBValidKey} key 
+     * @returns {Promise<*>}
+     */
+    static get(storeName, key) {
+        return this._run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * @param {string} storeName 
+     * @param {Object} value 
+     * @returns {Promise<IDBValidKey>}
+     */
+    static put(storeName, value) {
+        return this._run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * @param {string} storeName 
+     * @param {IDBValidKey} key 
+     * @returns {Promise<void>}
+     */
+    static delete(storeName, key) {
+        return this._run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    static async _run(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
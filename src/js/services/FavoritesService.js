@@ -0,0 +1,187 @@
+import { CONFIG } from '../config.js';
+import { EventEmitter } from '../helpers/EventEmitter.js';
+import { DatabaseService } from './DatabaseService.js';
+import { I18nService } from './I18nService.js';
+
+/**
+ * Manages starred stores and personal notes, persisted in IndexedDB
+ * Records are keyed by store ID (the normalized store name), so they survive regenerated datasets
+ * Emits 'change' with the Set of favorite store IDs after every modification
+ */
+export class FavoritesService extends EventEmitter {
+    constructor() {
+        super();
+        this.records = new Map(); // storeId -> { storeId, favorite, note, snapshot, updatedAt }
+        this.missingIds = new Set(); // Favorites absent from the latest dataset
+    }
+
+    /**
+     * Loads saved records; the app keeps working in memory if IndexedDB is unavailable
+     */
+    async load() {
+        try {
+            const records = await DatabaseService.getAll(CONFIG.DATABASE.STORES.FAVORITES);
+            this.records = new Map(records.map(record => [record.storeId, record]));
+        } catch (error) {
+            console.warn('Failed to load favorites:', error);
+        }
+        this._emitChange();
+    }
+
+    /**
+     * @returns {Set<string>}
+     */
+    get favoriteIds() {
+        const ids = new Set();
+        this.records.forEach(record => {
+            if (record.favorite) ids.add(record.storeId);
+        });
+        return ids;
+    }
+
+    /**
+     * @param {string} storeId
+     * @returns {boolean}
+     */
+    isFavorite(storeId) {
+        const record = this.records.get(storeId);
+        return !!(record && record.favorite);
+    }
+
+    /**
+     * @param {string} storeId
+     * @returns {string}
+     */
+    getNote(storeId) {
+        const record = this.records.get(storeId);
+        return record ? record.note : '';
+    }
+
+    /**
+     * @param {string} storeId
+     * @returns {boolean} True when the store is a favorite that vanished from the latest dataset
+     */
+    isMissing(storeId) {
+        return this.missingIds.has(storeId);
+    }
+
+    /**
+     * Favorites (and noted stores) sorted by name, including missing ones
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        return Array.from(this.records.values())
+            .sort((a, b) => a.snapshot.name.localeCompare(b.snapshot.name, I18nService.locale));
+    }
+
+    /**
+     * @param {Object} store - Normalized store object
+     */
+    async toggleFavorite(store) {
+        await this._update(store, { favorite: !this.isFavorite(store.id) });
+    }
+
+    /**
+     * @param {Object} store - Normalized store object
+     * @param {string} note
+     */
+    async setNote(store, note) {
+        await this._update(store, { note: note.trim().slice(0, CONFIG.FAVORITES.NOTE_MAX_LENGTH) });
+    }
+
+    /**
+     * Removes a record entirely, e.g. a favorite whose store closed
+     * @param {string} storeId
+     */
+    async remove(storeId) {
+        this.records.delete(storeId);
+        this.missingIds.delete(storeId);
+        try {
+            await DatabaseService.delete(CONFIG.DATABASE.STORES.FAVORITES, storeId);
+        } catch (error) {
+            console.warn('Failed to remove favorite:', error);
+        }
+        this._emitChange();
+    }
+
+    /**
+     * Compares saved records with a freshly loaded dataset
+     * Refreshes and saves changed snapshots, and flags favorites that no longer exist
+     * @param {Array} stores - Normalized store objects
+     * @returns {Array<Object>} Records of favorites missing from the dataset
+     */
+    reconcile(stores) {
+        const storesById = new Map(stores.map(store => [store.id, store]));
+        this.missingIds = new Set();
+        const changedRecords = [];
+
+        this.records.forEach(record => {
+            const store = storesById.get(record.storeId);
+            if (!store) {
+                if (record.favorite) this.missingIds.add(record.storeId);
+                return;
+            }
+
+            const snapshot = FavoritesService._snapshot(store);
+            if (JSON.stringify(snapshot) === JSON.stringify(record.snapshot)) return;
+
+            const updated = { ...record, snapshot };
+            this.records.set(record.storeId, updated);
+            changedRecords.push(updated);
+        });
+
+        this._saveReconciled(changedRecords);
+        this._emitChange();
+        return Array.from(this.missingIds).map(id => this.records.get(id));
+    }
+
+    async _saveReconciled(records) {
+        try {
+            for (const record of records) {
+                await DatabaseService.put(CONFIG.DATABASE.STORES.FAVORITES, record);
+            }
+        } catch (error) {
+            console.warn('Failed to save refreshed favorites:', error);
+        }
+    }
+
+    async _update(store, changes) {
+        const existing = this.records.get(store.id) || { storeId: store.id, favorite: false, note: '' };
+        const record = {
+            ...existing,
+            ...changes,
+            snapshot: FavoritesService._snapshot(store),
+            updatedAt: Date.now()
+        };
+
+        try {
+            if (!record.favorite && !record.note) {
+                this.records.delete(store.id);
+                await DatabaseService.delete(CONFIG.DATABASE.STORES.FAVORITES, store.id);
+            } else {
+                this.records.set(store.id, record);
+                await DatabaseService.put(CONFIG.DATABASE.STORES.FAVORITES, record);
+            }
+        } catch (error) {
+            console.warn('Failed to save favorite:', error);
+        }
+        this._emitChange();
+    }
+
+    /**
+     * Keeps enough of the store to list it even after it leaves the dataset
+     * @param {Object} store
+     * @returns {Object}
+     */
+    static _snapshot(store) {
+        return {
+            name: store.name,
+            address: store.address,
+            markerColor: store.markerColor
+        };
+    }
+
+    _emitChange() {
+        this.emit('change', this.favoriteIds);
+    }
+}
@@ -0,0 +1,144 @@
+import { CONFIG } from '../config.js';
+import { EventEmitter } from '../helpers/EventEmitter.js';
+import { StoreFilter } from '../helpers/StoreFilter.js';
+import { StorageService } from './StorageService.js';
+
+const ALL_CATEGORIES = CONFIG.CATEGORIES.map(category => category.ID);
+
+/**
+ * Holds the active store filter and remembers it between visits
+ * Emits 'change' with the new state whenever the filter is modified
+ */
+export class FilterService extends EventEmitter {
+    constructor() {
+        super();
+        this.state = this._load();
+        this.favoriteIds = new Set(); // Supplied by FavoritesService, not persisted here
+    }
+
+    _load() {
+        const saved = StorageService.get(CONFIG.STORAGE_KEYS.FILTER) || {};
+        const categories = Array.isArray(saved.categories)
+            ? saved.categories.filter(id => ALL_CATEGORIES.includes(id))
+            : ALL_CATEGORIES.slice();
+
+        // A region is a one-off browse, so it is not restored: the next visit starts near the user
+        return { categories, favoritesOnly: !!saved.favoritesOnly, region: null };
+    }
+
+    /**
+     * Filter criteria in the shape StoreFilter and the worker expect
+     * @returns {{categories: Array<string>, favoriteIds: (Array<string>|null), region: (Object|null)}}
+     */
+    get criteria() {
+        return {
+            categories: this.state.categories,
+            favoriteIds: this.state.favoritesOnly ? Array.from(this.favoriteIds) : null,
+            region: this.state.region
+        };
+    }
+
+    /**
+     * @param {string} categoryId 
+     * @returns {boolean}
+     */
+    isCategoryVisible(categoryId) {
+        return this.state.categories.includes(categoryId);
+    }
+
+    /**
+     * Shows or hides a single category
+     * @param {string} categoryId 
+     */
+    toggleCategory(categoryId) {
+        const categories = this.isCategoryVisible(categoryId)
+            ? this.state.categories.filter(id => id !== categoryId)
+            : [...this.state.categories, categoryId];
+        this.setCategories(categories);
+    }
+
+    /**
+     * Replaces the visible categories
+     * @param {Array<string>} categories 
+     * @param {{persist: boolean}} [options] - persist: false applies them for this visit only, e.g. from a shared link
+     */
+    setCategories(categories, { persist = true } = {}) {
+        // Keep legend order so the persisted value is stable
+        this.state = {
+            ...this.state,
+            categories: ALL_CATEGORIES.filter(id => categories.includes(id))
+        };
+        this._commit(persist);
+    }
+
+    /**
+     * Limits the map to starred stores
+     * @param {boolean} favoritesOnly 
+     */
+    setFavoritesOnly(favoritesOnly) {
+        this.state = { ...this.state, favoritesOnly: !!favoritesOnly };
+        this._commit();
+    }
+
+    /**
+     * Limits the map to one county, or one district in it
+     * @param {{county: string, district: string}|null} region - Null shows every region
+     */
+    setRegion(region) {
+        this.state = {
+            ...this.state,
+            region: region && region.county ? { county: region.county, district: region.district || '' } : null
+        };
+        this._commit();
+    }
+
+    /**
+     * Updates the known favorites; only affects results while favoritesOnly is on
+     * @param {Set<string>} favoriteIds 
+     */
+    setFavoriteIds(favoriteIds) {
+        this.favoriteIds = new Set(favoriteIds);
+        if (this.state.favoritesOnly) {
+            this.emit('change', this.state);
+        }
+    }
+
+    /**
+     * Applies one of CONFIG.FILTER_PRESETS
+     * @param {string} presetId 
+     */
+    applyPreset(presetId) {
+        const preset = CONFIG.FILTER_PRESETS.find(p => p.ID === presetId);
+        if (preset) {
+            this.setCategories(preset.CATEGORIES);
+        }
+    }
+
+    /**
+     * Returns the preset matching the current categories, if any
+     * @returns {string|null}
+     */
+    getActivePresetId() {
+        const current = this.state.categories.join(',');
+        const preset = CONFIG.FILTER_PRESETS.find(p =>
+            ALL_CATEGORIES.filter(id => p.CATEGORIES.includes(id)).join(',') === current
+        );
+        return preset ? preset.ID : null;
+    }
+
+    /**
+     * Builds a predicate for the current filter
+     * @returns {function(Object): boolean}
+     */
+    createPredicate() {
+        return StoreFilter.compile(this.criteria);
+    }
+
+    _commit(persist = true) {
+        if (persist) {
+            const { categories, favoritesOnly } = this.state;
+            StorageService.set(CONFIG.STORAGE_KEYS.FILTER, { categories, favoritesOnly });
+        }
+        this.emit('change', this.state);
+    }
+}
@@ -0,0 +1,50 @@
+import { CONFIG } from '../config.js';
+import { LocationService } from './LocationService.js';
+
+/**
+ * Position provider that always reports the same point, for demos and desktop testing
+ * Same API as GpsPositionProvider; a watch reports the point once
+ */
+export class FixedPositionProvider {
+    /**
+     * @param {number} latitude
+     * @param {number} longitude
+     */
+    constructor(latitude, longitude) {
+        this.latitude = latitude;
+        this.longitude = longitude;
+        this.timers = new Map(); // Watch ID -> pending timeout
+        this.nextWatchId = 1;
+    }
+
+    get isSupported() {
+        return true;
+    }
+
+    getCurrentPosition(successCallback) {
+        setTimeout(() => successCallback(this._createPosition()), 0);
+    }
+
+    /**
+     * @returns {number} Watch ID for clearWatch
+     */
+    watchPosition(successCallback) {
+        const watchId = this.nextWatchId++;
+        this.timers.set(watchId, setTimeout(() => {
+            this.timers.delete(watchId);
+            successCallback(this._createPosition());
+        }, 0));
+        return watchId;
+    }
+
+    clearWatch(watchId) {
+        clearTimeout(this.timers.get(watchId));
+        this.timers.delete(watchId);
+    }
+
+    _createPosition() {
+        return LocationService.createPosition(this.latitude, this.longitude, {
+            accuracy: CONFIG.POSITION_PROVIDERS.SIMULATED_ACCURACY
+        });
+    }
+}
@@ -0,0 +1,25 @@
+/**
+ * Position provider backed by the browser's GPS (navigator.geolocation)
+ * Providers share the callback API of navigator.geolocation, so LocationService can swap them freely:
+ * isSupported, getCurrentPosition(success, error, options), watchPosition(...) returning an ID, clearWatch(id)
+ */
+export class GpsPositionProvider {
+    get isSupported() {
+        return 'geolocation' in navigator;
+    }
+
+    getCurrentPosition(successCallback, errorCallback, options) {
+        navigator.geolocation.getCurrentPosition(successCallback, errorCallback, options);
+    }
+
+    /**
+     * @returns {number} Watch ID for clearWatch
+     */
+    watchPosition(successCallback, errorCallback, options) {
+        return navigator.geolocation.watchPosition(successCallback, errorCallback, options);
+    }
+
+    clearWatch(watchId) {
+        navigator.geolocation.clearWatch(watchId);
+    }
+}
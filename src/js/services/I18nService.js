@@ -0,0 +1,85 @@
+import { CONFIG } from '../config.js';
+import { StorageService } from './StorageService.js';
+import { MESSAGES as ZH_TW } from '../locales/zh-TW.js';
+import { MESSAGES as EN } from '../locales/en.js';
+import { MESSAGES as JA } from '../locales/ja.js';
+
+const BUNDLES = {
+    'zh-TW': ZH_TW,
+    'en': EN,
+    'ja': JA
+};
+
+let currentLocale = null; // Resolved lazily on first use
+
+/**
+ * Service to look up user-facing strings in the active locale
+ * The locale comes from the saved choice, then navigator.languages, then CONFIG.I18N.DEFAULT_LOCALE
+ */
+export class I18nService {
+    /**
+     * @returns {string} Active locale ID, e.g. 'zh-TW'
+     */
+    static get locale() {
+        if (!currentLocale) {
+            currentLocale = this.detect();
+        }
+        return currentLocale;
+    }
+
+    /**
+     * Picks the locale to use on this visit
+     * @returns {string}
+     */
+    static detect() {
+        const saved = StorageService.get(CONFIG.STORAGE_KEYS.LOCALE);
+        if (BUNDLES[saved]) return saved;
+
+        const preferred = navigator.languages && navigator.languages.length > 0
+            ? navigator.languages
+            : [navigator.language];
+        for (const language of preferred) {
+            const match = this.matchLocale(language);
+            if (match) return match;
+        }
+        return CONFIG.I18N.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Maps a BCP 47 tag to a supported locale by its primary language
+     * Any Chinese variant gets zh-TW, the only Chinese bundle
+     * @param {string} language - e.g. 'en-US', 'ja', 'zh-Hant-TW'
+     * @returns {string|null}
+     */
+    static matchLocale(language) {
+        if (!language) return null;
+        const primary = language.toLowerCase().split('-')[0];
+        return Object.keys(BUNDLES).find(locale => locale.toLowerCase().split('-')[0] === primary) || null;
+    }
+
+    /**
+     * Saves the user's language choice; takes effect on the next page load
+     * @param {string} locale
+     */
+    static setLocale(locale) {
+        if (!BUNDLES[locale]) return;
+        StorageService.set(CONFIG.STORAGE_KEYS.LOCALE, locale);
+        currentLocale = locale;
+    }
+
+    /**
+     * Translates a message key, filling {placeholders} from params
+     * Falls back to the default locale, then to the key itself
+     * @param {string} key
+     * @param {Object<string, (string|number)>} params
+     * @returns {string}
+     */
+    static t(key, params = {}) {
+        const template = BUNDLES[this.locale][key]
+            ?? BUNDLES[CONFIG.I18N.DEFAULT_LOCALE][key]
+            ?? key;
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            name in params ? String(params[name]) : placeholder
+        );
+    }
+}
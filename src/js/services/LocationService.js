@@ -1,20 +1,51 @@
-import { CONFIG } from '../config.js';
+import { EventEmitter } from '../helpers/EventEmitter.js';
+import { I18nService } from './I18nService.js';
+import { GpsPositionProvider } from './GpsPositionProvider.js';
 
 /**
  * Service to handle Geolocation logic
- * Encapsulates all navigator.geolocation interactions
+ * Positions come from a swappable provider: the browser's GPS by default, or a fixed point or
+ * replayed track for demos and testing (see setProvider)
+ * Emits 'position' with every fix so distance-based features can follow the user
+ * A position may also be set by hand (see setManualPosition); it then carries isManual and a label
  */
-export class LocationService {
-    constructor() {
+export class LocationService extends EventEmitter {
+    constructor(provider = new GpsPositionProvider()) {
+        super();
+        this.provider = provider;
         this.watchId = null;
+        this.lastPosition = null;
     }
 
     /**
-     * Checks if geolocation is supported by the browser
+     * Checks if the current provider can report positions
      * @returns {boolean}
      */
     get isSupported() {
-        return 'geolocation' in navigator;
+        return this.provider.isSupported;
+    }
+
+    /**
+     * Switches where positions come from; a running watch is stopped and must be started again
+     * @param {Object} provider - GpsPositionProvider, FixedPositionProvider or TrackReplayPositionProvider
+     */
+    setProvider(provider) {
+        this.clearWatch();
+        this.provider = provider;
+    }
+
+    /**
+     * Builds an object shaped like a GeolocationPosition, for positions that do not come from GPS
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {{accuracy: number, heading: (number|null), speed: (number|null)}} [details]
+     * @returns {Object}
+     */
+    static createPosition(latitude, longitude, { accuracy = 0, heading = null, speed = null } = {}) {
+        return {
+            coords: { latitude, longitude, accuracy, altitude: null, altitudeAccuracy: null, heading, speed },
+            timestamp: Date.now()
+        };
     }
 
     /**
@@ -29,7 +60,10 @@ export class LocationService {
                 return;
             }
 
-            navigator.geolocation.getCurrentPosition(resolve, reject, options);
+            this.provider.getCurrentPosition((position) => {
+                this._setPosition(position);
+                resolve(position);
+            }, reject, options);
         });
     }
 
@@ -43,19 +77,58 @@ export class LocationService {
         if (!this.isSupported) return;
         
         this.clearWatch();
-        this.watchId = navigator.geolocation.watchPosition(
-            successCallback, 
+        this.watchId = this.provider.watchPosition(
+            (position) => {
+                this._setPosition(position);
+                successCallback(position);
+            },
             errorCallback, 
             options
         );
     }
 
+    /**
+     * @returns {boolean} True while watchPosition is running
+     */
+    get isWatching() {
+        return this.watchId !== null;
+    }
+
+    /**
+     * Uses a chosen point as the user's position, e.g. when geolocation is denied
+     * Stops the GPS watch so the next fix does not replace it
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {string} label - Shown on the map, e.g. a saved place's name
+     */
+    setManualPosition(latitude, longitude, label) {
+        this.clearWatch();
+        // Shaped like a GeolocationPosition so consumers need no special case
+        this._setPosition({
+            ...LocationService.createPosition(latitude, longitude),
+            isManual: true,
+            label
+        });
+    }
+
+    /**
+     * @returns {boolean} True when the last position was set by hand
+     */
+    get isManual() {
+        return !!(this.lastPosition && this.lastPosition.isManual);
+    }
+
+    _setPosition(position) {
+        this.lastPosition = position;
+        this.emit('position', position);
+    }
+
     /**
      * Stops watching the user's position
      */
     clearWatch() {
         if (this.watchId !== null) {
-            navigator.geolocation.clearWatch(this.watchId);
+            this.provider.clearWatch(this.watchId);
             this.watchId = null;
         }
     }
@@ -68,13 +141,13 @@ export class LocationService {
     static getErrorMessage(error) {
         switch(error.code) {
             case error.PERMISSION_DENIED:
-                return CONFIG.MESSAGES.LOCATION_DENIED;
+                return I18nService.t('LOCATION_DENIED');
             case error.POSITION_UNAVAILABLE:
-                return CONFIG.MESSAGES.LOCATION_UNAVAILABLE;
+                return I18nService.t('LOCATION_UNAVAILABLE');
             case error.TIMEOUT:
-                return CONFIG.MESSAGES.LOCATION_TIMEOUT;
+                return I18nService.t('LOCATION_TIMEOUT');
             default:
-                return CONFIG.MESSAGES.LOCATION_UNKNOWN_ERROR;
+                return I18nService.t('LOCATION_UNKNOWN_ERROR');
         }
     }
 }
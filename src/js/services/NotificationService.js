@@ -9,6 +9,7 @@ export class NotificationService {
         this.lastMessageTime = 0;
         this.lastMessageText = '';
         this.currentToast = null;
+        this.actionToast = null; // Stays until acted on; regular toasts don't replace it
     }
 
     /**
@@ -62,4 +63,42 @@ export class NotificationService {
             }
         }, CONFIG.UI.TOAST_TIMEOUT);
     }
+
+    /**
+     * Shows a toast with a button that stays until the button is pressed
+     * Only one such toast is shown at a time; a new one replaces the old
+     * @param {string} message - Message to display
+     * @param {string} actionLabel - Button text
+     * @param {Function} onAction - Called when the button is pressed
+     */
+    showAction(message, actionLabel, onAction) {
+        if (!this.container) return;
+
+        if (this.actionToast) {
+            this.actionToast.remove();
+        }
+
+        const toast = document.createElement('div');
+        this.actionToast = toast;
+        toast.className = `${CONFIG.UI.CSS_CLASSES.TOAST} ${CONFIG.UI.CSS_CLASSES.TOAST_ACTION}`;
+
+        const text = document.createElement('span');
+        text.textContent = message;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-button';
+        button.textContent = actionLabel;
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            onAction();
+        });
+
+        toast.append(text, button);
+        this.container.appendChild(toast);
+
+        // Trigger reflow for animation
+        void toast.offsetWidth;
+        toast.classList.add(CONFIG.UI.CSS_CLASSES.TOAST_SHOW);
+    }
 }
@@ -0,0 +1,183 @@
+import { CONFIG } from '../config.js';
+import { EventEmitter } from '../helpers/EventEmitter.js';
+import { TileMath } from '../helpers/TileMath.js';
+import { DatabaseService } from './DatabaseService.js';
+
+/**
+ * Downloads map tiles for chosen areas into a dedicated Cache Storage cache
+ * The service worker serves tiles from that cache, so saved areas render offline
+ * Area metadata (bounds, zoom range, tile URLs) lives in IndexedDB
+ * Emits 'progress' with {done, total, failed} while downloading and 'change' when the saved areas change
+ */
+export class OfflineTileService extends EventEmitter {
+    constructor() {
+        super();
+        this.abortController = null; // Set while a download runs
+        // Matches Leaflet's {r} substitution so cached URLs equal the ones the map requests
+        this.isRetina = (window.devicePixelRatio || 1) > 1;
+    }
+
+    /**
+     * @returns {boolean} False when Cache Storage is unavailable (e.g. insecure context)
+     */
+    static isSupported() {
+        return typeof caches !== 'undefined';
+    }
+
+    get isDownloading() {
+        return this.abortController !== null;
+    }
+
+    /**
+     * Predicts how much a download would fetch
+     * @param {Object} bounds - {north, south, east, west}
+     * @param {number} minZoom
+     * @param {number} maxZoom
+     * @returns {{tiles: number, bytes: number}}
+     */
+    estimate(bounds, minZoom, maxZoom) {
+        const tiles = TileMath.countTiles(bounds, minZoom, maxZoom);
+        const tileBytes = this.isRetina
+            ? CONFIG.OFFLINE_TILES.AVERAGE_RETINA_TILE_BYTES
+            : CONFIG.OFFLINE_TILES.AVERAGE_TILE_BYTES;
+        return { tiles, bytes: tiles * tileBytes };
+    }
+
+    /**
+     * Builds a tile URL exactly as L.TileLayer would for these coordinates
+     * @param {{x: number, y: number, z: number}} tile
+     * @returns {string}
+     */
+    getTileUrl({ x, y, z }) {
+        const subdomains = CONFIG.TILE_LAYER.SUBDOMAINS;
+        const values = {
+            s: subdomains[Math.abs(x + y) % subdomains.length],
+            x, y, z,
+            r: this.isRetina ? '@2x' : ''
+        };
+        return CONFIG.TILE_LAYER.URL.replace(/\{(\w+)\}/g, (placeholder, key) => values[key]);
+    }
+
+    /**
+     * Downloads every tile of an area and records it as saved
+     * Tiles already cached (e.g. shared with another area) are not fetched again
+     * @param {{name: string, bounds: Object, minZoom: number, maxZoom: number}} area
+     * @returns {Promise<{area: Object, failed: number}>}
+     * @throws {Error} 'TOO_MANY_TILES', 'DOWNLOAD_IN_PROGRESS', or AbortError when cancelled
+     */
+    async download({ name, bounds, minZoom, maxZoom }) {
+        if (this.isDownloading) throw new Error('DOWNLOAD_IN_PROGRESS');
+
+        const tiles = TileMath.listTiles(bounds, minZoom, maxZoom);
+        if (tiles.length > CONFIG.OFFLINE_TILES.MAX_TILES) throw new Error('TOO_MANY_TILES');
+
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+        const urls = tiles.map(tile => this.getTileUrl(tile));
+        const progress = { done: 0, total: urls.length, failed: 0 };
+        let bytes = 0;
+
+        try {
+            const cache = await caches.open(CONFIG.OFFLINE_TILES.CACHE_NAME);
+            let next = 0;
+            const worker = async () => {
+                while (next < urls.length) {
+                    if (signal.aborted) throw new DOMException('Download cancelled', 'AbortError');
+                    const url = urls[next++];
+                    try {
+                        bytes += await this._cacheTile(cache, url, signal);
+                    } catch (error) {
+                        if (error.name === 'AbortError') throw error;
+                        progress.failed++;
+                    }
+                    progress.done++;
+                    this.emit('progress', { ...progress });
+                }
+            };
+            await Promise.all(Array.from({ length: CONFIG.OFFLINE_TILES.CONCURRENCY }, worker));
+        } catch (error) {
+            // Drop what a cancelled or failed download left behind, keeping tiles of saved areas
+            await this._deleteUnusedTiles(urls, await this.list()).catch(() => {});
+            throw error;
+        } finally {
+            this.abortController = null;
+        }
+
+        const area = {
+            id: `${Date.now()}`,
+            name,
+            bounds,
+            minZoom,
+            maxZoom,
+            urls,
+            bytes,
+            createdAt: Date.now()
+        };
+        await DatabaseService.put(CONFIG.DATABASE.STORES.OFFLINE_AREAS, area);
+        this.emit('change');
+        return { area, failed: progress.failed };
+    }
+
+    /**
+     * Stops the running download; download() then rejects with an AbortError
+     */
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Saved areas, newest first
+     */
+    async list() {
+        const areas = await DatabaseService.getAll(CONFIG.DATABASE.STORES.OFFLINE_AREAS);
+        return areas.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Deletes a saved area and the tiles no other area still needs
+     * @param {string} id
+     */
+    async remove(id) {
+        const areas = await this.list();
+        const area = areas.find(a => a.id === id);
+        if (!area) return;
+
+        await this._deleteUnusedTiles(area.urls, areas.filter(a => a.id !== id));
+        await DatabaseService.delete(CONFIG.DATABASE.STORES.OFFLINE_AREAS, id);
+        this.emit('change');
+    }
+
+    /**
+     * Removes tiles from the cache unless one of the kept areas includes them
+     * @param {Array<string>} urls
+     * @param {Array<Object>} keptAreas
+     */
+    async _deleteUnusedTiles(urls, keptAreas) {
+        const stillNeeded = new Set();
+        keptAreas.forEach(area => area.urls.forEach(url => stillNeeded.add(url)));
+
+        const cache = await caches.open(CONFIG.OFFLINE_TILES.CACHE_NAME);
+        await Promise.all(urls
+            .filter(url => !stillNeeded.has(url))
+            .map(url => cache.delete(url)));
+    }
+
+    /**
+     * Fetches one tile into the cache unless it is already there
+     * @returns {Promise<number>} Size in bytes of the cached tile
+     */
+    async _cacheTile(cache, url, signal) {
+        const cached = await cache.match(url);
+        if (cached) {
+            return (await cached.blob()).size;
+        }
+
+        const response = await fetch(url, { mode: 'cors', signal });
+        if (!response.ok) throw new Error(`Tile request failed: ${response.status}`);
+        const size = (await response.clone().blob()).size;
+        await cache.put(url, response);
+        return size;
+    }
+}
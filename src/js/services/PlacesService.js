@@ -0,0 +1,68 @@
+import { CONFIG } from '../config.js';
+import { EventEmitter } from '../helpers/EventEmitter.js';
+import { StorageService } from './StorageService.js';
+
+/**
+ * Service for named places ("home", "office") the user can set as their location
+ * One place may be the default startup location, used instead of GPS when the app opens
+ * Emits 'change' whenever places or the default change
+ */
+export class PlacesService extends EventEmitter {
+    constructor() {
+        super();
+        const saved = StorageService.get(CONFIG.STORAGE_KEYS.PLACES) || {};
+        this.places = Array.isArray(saved.places) ? saved.places : [];
+        this.defaultId = this.places.some(place => place.id === saved.defaultId) ? saved.defaultId : null;
+    }
+
+    /**
+     * @returns {Array<{id: string, name: string, latitude: number, longitude: number}>} In the order saved
+     */
+    getAll() {
+        return this.places;
+    }
+
+    /**
+     * @returns {Object|null} The startup place, if one is chosen
+     */
+    get defaultPlace() {
+        return this.places.find(place => place.id === this.defaultId) || null;
+    }
+
+    /**
+     * @param {string} name
+     * @param {number} latitude
+     * @param {number} longitude
+     * @returns {Object} The saved place
+     */
+    add(name, latitude, longitude) {
+        const place = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim().slice(0, CONFIG.PLACES.NAME_MAX_LENGTH),
+            latitude,
+            longitude
+        };
+        this.places = [...this.places, place];
+        this._commit();
+        return place;
+    }
+
+    remove(placeId) {
+        this.places = this.places.filter(place => place.id !== placeId);
+        if (this.defaultId === placeId) this.defaultId = null;
+        this._commit();
+    }
+
+    /**
+     * @param {string|null} placeId - Null to start from GPS again
+     */
+    setDefault(placeId) {
+        this.defaultId = this.places.some(place => place.id === placeId) ? placeId : null;
+        this._commit();
+    }
+
+    _commit() {
+        StorageService.set(CONFIG.STORAGE_KEYS.PLACES, { places: this.places, defaultId: this.defaultId });
+        this.emit('change', this.places);
+    }
+}
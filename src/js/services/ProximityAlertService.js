@@ -0,0 +1,138 @@
+import { CONFIG } from '../config.js';
+import { EventEmitter } from '../helpers/EventEmitter.js';
+import { StorageService } from './StorageService.js';
+
+/**
+ * Settings and delivery for the "ice cream radar" proximity alerts
+ * Alerts go through the Notifications API when permitted; callers fall back to an in-app toast otherwise
+ * Emits 'change' with the settings, and 'open' with a store ID when an alert is clicked
+ */
+export class ProximityAlertService extends EventEmitter {
+    constructor() {
+        super();
+        this.settings = this._load();
+        this.alertedIds = new Set(); // Stores already announced this session
+        this._listenForClicks();
+    }
+
+    _load() {
+        const saved = StorageService.get(CONFIG.STORAGE_KEYS.RADAR) || {};
+        const categories = Array.isArray(saved.categories)
+            ? saved.categories.filter(id => CONFIG.CATEGORIES.some(category => category.ID === id))
+            : CONFIG.RADAR.DEFAULT_CATEGORIES;
+        return {
+            enabled: !!saved.enabled,
+            categories,
+            radius: CONFIG.RADAR.RADII.includes(saved.radius) ? saved.radius : CONFIG.RADAR.DEFAULT_RADIUS,
+            quietHours: {
+                enabled: !!(saved.quietHours && saved.quietHours.enabled),
+                start: (saved.quietHours && saved.quietHours.start) || CONFIG.RADAR.DEFAULT_QUIET_START,
+                end: (saved.quietHours && saved.quietHours.end) || CONFIG.RADAR.DEFAULT_QUIET_END
+            }
+        };
+    }
+
+    /**
+     * Changes some settings and saves them
+     * @param {Object} changes - Any of {enabled, categories, radius, quietHours}
+     */
+    update(changes) {
+        this.settings = { ...this.settings, ...changes };
+        StorageService.set(CONFIG.STORAGE_KEYS.RADAR, this.settings);
+        this.emit('change', this.settings);
+    }
+
+    /**
+     * @param {Date} [date]
+     * @returns {boolean} True inside the quiet hours, which may span midnight (e.g. 22:00–07:00)
+     */
+    isQuietTime(date = new Date()) {
+        const { enabled, start, end } = this.settings.quietHours;
+        if (!enabled || start === end) return false;
+
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const now = date.getHours() * 60 + date.getMinutes();
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+        return from < to ? now >= from && now < to : now >= from || now < to;
+    }
+
+    /**
+     * Records a store as announced; each store alerts at most once per session
+     * @param {string} storeId
+     * @returns {boolean} False if it was announced before
+     */
+    markAlerted(storeId) {
+        if (this.alertedIds.has(storeId)) return false;
+        this.alertedIds.add(storeId);
+        return true;
+    }
+
+    /**
+     * @returns {boolean} True when system notifications can be shown
+     */
+    get canNotify() {
+        return 'Notification' in window && Notification.permission === 'granted';
+    }
+
+    /**
+     * Asks for notification permission; call from a user gesture
+     * @returns {Promise<boolean>} Whether system notifications can be shown
+     */
+    async requestPermission() {
+        if (!('Notification' in window)) return false;
+        if (Notification.permission === 'default') {
+            try {
+                await Notification.requestPermission();
+            } catch (error) {
+                console.warn('Notification permission request failed:', error);
+            }
+        }
+        return this.canNotify;
+    }
+
+    /**
+     * Shows a system notification for a store
+     * Goes through the service worker where there is one, since mobile browsers only allow that
+     * @param {{title: string, body: string, storeId: string, url: string}} alert - url opens the store
+     * @returns {Promise<boolean>} False when it could not be shown, so the caller can fall back
+     */
+    async notify({ title, body, storeId, url }) {
+        if (!this.canNotify) return false;
+
+        const options = { body, tag: storeId, data: { storeId, url } };
+        try {
+            const registration = 'serviceWorker' in navigator
+                ? await navigator.serviceWorker.getRegistration()
+                : null;
+            if (registration) {
+                await registration.showNotification(title, options);
+                return true;
+            }
+
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                this.emit('open', storeId);
+            };
+            return true;
+        } catch (error) {
+            console.warn('Notification failed:', error);
+            return false;
+        }
+    }
+
+    // The service worker forwards clicks on its notifications to an open page
+    _listenForClicks() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'OPEN_STORE') {
+                this.emit('open', event.data.storeId);
+            }
+        });
+    }
+}
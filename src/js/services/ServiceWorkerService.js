@@ -1,8 +1,14 @@
+import { I18nService } from './I18nService.js';
+
 /**
- * Service to handle Service Worker registration
+ * Service to handle Service Worker registration and updates
+ * A new version waits instead of taking over mid-session; the user is asked to reload
  */
 export class ServiceWorkerService {
-    static register() {
+    /**
+     * @param {NotificationService} notificationService - Shows the "new version" prompt
+     */
+    static register(notificationService) {
         // Disable Service Worker in development to avoid caching issues
         // Safe check for import.meta.env to support non-Vite environments
         const isDev = import.meta.env && import.meta.env.DEV;
@@ -27,6 +33,7 @@ export class ServiceWorkerService {
                 navigator.serviceWorker.register('./service-worker.js')
                     .then(registration => {
                         console.log('ServiceWorker registration successful with scope: ', registration.scope);
+                        this._watchForUpdates(registration, notificationService);
                     })
                     .catch(error => {
                         console.log('ServiceWorker registration failed: ', error);
@@ -34,4 +41,52 @@ export class ServiceWorkerService {
             });
         }
     }
+
+    /**
+     * Prompts once a new version has installed and is waiting
+     * @param {ServiceWorkerRegistration} registration 
+     * @param {NotificationService} notificationService 
+     */
+    static _watchForUpdates(registration, notificationService) {
+        // Without a controller this is the first install, not an update
+        if (!navigator.serviceWorker.controller) return;
+
+        const prompt = (worker) => {
+            notificationService.showAction(
+                I18nService.t('UPDATE_AVAILABLE'),
+                I18nService.t('UPDATE_RELOAD'),
+                () => worker.postMessage({ type: 'SKIP_WAITING' })
+            );
+        };
+
+        // An update may have installed during an earlier visit
+        if (registration.waiting) {
+            prompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') {
+                    prompt(worker);
+                }
+            });
+        });
+
+        // The accepted worker has taken over; reload so the page matches its caches
+        let isReloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (isReloading) return;
+            isReloading = true;
+            window.location.reload();
+        });
+
+        // Long sessions would otherwise only see updates on the next navigation
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => {});
+            }
+        });
+    }
 }
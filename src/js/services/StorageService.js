@@ -0,0 +1,34 @@
+/**
+ * Service to persist small user preferences
+ * Wraps localStorage with JSON encoding and tolerates private mode / quota errors
+ */
+export class StorageService {
+    /**
+     * Reads a JSON value
+     * @param {string} key 
+     * @param {*} fallback - Returned when the key is missing or unreadable
+     * @returns {*}
+     */
+    static get(key, fallback = null) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            console.warn(`Failed to read "${key}" from storage:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Writes a JSON value
+     * @param {string} key 
+     * @param {*} value 
+     */
+    static set(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Failed to write "${key}" to storage:`, error);
+        }
+    }
+}
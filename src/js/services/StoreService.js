@@ -1,47 +1,255 @@
 import { CONFIG } from '../config.js';
+import { StoreWorkerError } from '../helpers/StoreWorkerError.js';
+
+// One long-lived worker holds the dataset; requests are matched to replies by id
+let worker = null;
+let requestSequence = 0;
+const pendingRequests = new Map();
 
 /**
  * Service to handle data fetching and normalization
- * Uses a Web Worker to process data off the main thread
+ * Promise-based client for store.worker.js, which keeps the dataset and answers queries off the main thread
+ * Every query accepts an optional AbortSignal; aborting rejects with an AbortError and cancels the request in the worker
+ * Failures reject with a StoreWorkerError whose code says what went wrong
  */
 export class StoreService {
     /**
-     * Fetches store data using a Web Worker
-     * @returns {Promise<{stores: Array, lastUpdated: string}>}
+     * Loads store data in the worker, replacing any dataset loaded before
+     * diff lists what changed since the dataset the user last acknowledged (null if nothing)
+     * The processed dataset is cached in IndexedDB for loadCachedStores
+     * @param {{ifNewerThan: string, signal: AbortSignal}} [options] - ifNewerThan: resolve null unless the
+     *     server's last_updated is newer than this (used to revalidate a cached dataset)
+     * @returns {Promise<{stores: Array, lastUpdated: string, diff: (Object|null), report: Object}|null>}
      */
-    static fetchStores() {
-        return new Promise((resolve, reject) => {
-            // Use standard Worker constructor for static deployment compatibility
-            // This works in browsers supporting ES modules and standardizes the path resolution
-            const worker = new Worker(new URL('../../worker/store.worker.js', import.meta.url));
-
-            worker.onmessage = function(e) {
-                if (e.data.type === 'SUCCESS') {
-                    resolve(e.data.payload);
-                    worker.terminate(); // Clean up worker
-                } else if (e.data.type === 'ERROR') {
-                    reject(new Error(e.data.error));
-                    worker.terminate();
-                }
-            };
+    static fetchStores({ ifNewerThan, signal } = {}) {
+        // Pass necessary config to worker
+        const config = {
+            DATA_URL: CONFIG.DATA_URL,
+            MARKERS: CONFIG.MARKERS,
+            COLORS: CONFIG.COLORS,
+            COLOCATION_RADIUS: CONFIG.COLOCATION_RADIUS
+        };
+        return StoreService._request('LOAD', { config, ifNewerThan }, signal);
+    }
 
-            worker.onerror = function(error) {
-                reject(error);
-                worker.terminate();
-            };
+    /**
+     * Loads the dataset cached by the last successful fetchStores, without touching the network
+     * @returns {Promise<{stores: Array, lastUpdated: string, diff: (Object|null), report: Object}|null>} Null without a cache
+     */
+    static loadCachedStores() {
+        return StoreService._request('LOAD_CACHED');
+    }
+
+    /**
+     * Marks the loaded dataset as seen so the next diff starts from it
+     * @returns {Promise<void>}
+     */
+    static acknowledgeDataset() {
+        return StoreService._request('ACKNOWLEDGE_DATASET');
+    }
+
+    /**
+     * Lists visible stores inside a bounding box
+     * @param {Object} bounds - {north, south, east, west}
+     * @param {Object} filter - Active filter state; hidden categories are excluded
+     * @param {{signal: AbortSignal}} [options]
+     * @returns {Promise<Array<string>>} Store IDs
+     */
+    static queryBounds(bounds, filter, { signal } = {}) {
+        return StoreService._request('QUERY_BOUNDS', { bounds, filter }, signal);
+    }
+
+    /**
+     * Lists every store passing a filter
+     * @param {Object} filter - Active filter state
+     * @param {{signal: AbortSignal}} [options]
+     * @returns {Promise<Array<string>>} Store IDs
+     */
+    static filter(filter, { signal } = {}) {
+        return StoreService._request('FILTER', { filter }, signal);
+    }
+
+    /**
+     * Searches loaded stores by name, address or phone inside the worker
+     * @param {string} query
+     * @param {Object} filter - Active filter state; hidden categories are excluded
+     * @param {{limit: number, signal: AbortSignal}} [options]
+     * @returns {Promise<Array<string>>} Matching store IDs, best matches first
+     */
+    static search(query, filter, { limit = CONFIG.SEARCH.MAX_RESULTS, signal } = {}) {
+        return StoreService._request('SEARCH', { query, filter, limit }, signal);
+    }
+
+    /**
+     * Finds the stores closest to a point inside the worker
+     * @param {number} latitude
+     * @param {number} longitude
+     * @param {Object} filter - Active filter state; hidden categories are excluded
+     * @param {{limit: number, signal: AbortSignal}} [options]
+     * @returns {Promise<Array<{id: string, distance: number}>>} Closest first, distance in meters
+     */
+    static findNearest(latitude, longitude, filter, { limit = CONFIG.NEARBY.LIMIT, signal } = {}) {
+        return StoreService._request('NEAREST', { latitude, longitude, filter, limit }, signal);
+    }
+
+    /**
+     * Counts stores overall and per category among those passing a filter
+     * @param {Object} filter - Active filter state
+     * @param {{signal: AbortSignal}} [options]
+     * @returns {Promise<{total: number, visible: number, categories: Object<string, number>}>}
+     */
+    static getStats(filter, { signal } = {}) {
+        return StoreService._request('STATS', { filter }, signal);
+    }
+
+    /**
+     * Lists weighted points of the visible stores for the density heatmap
+     * @param {Object} filter - Active filter state
+     * @param {Object<string, number>} weights - Weight per category; categories left out are skipped
+     * @param {{signal: AbortSignal}} [options]
+     * @returns {Promise<Array<Array<number>>>} [latitude, longitude, weight]
+     */
+    static getHeatmapPoints(filter, weights, { signal } = {}) {
+        return StoreService._request('HEATMAP', { filter, weights }, signal);
+    }
+
+    /**
+     * Writes the visible stores as a GeoJSON, KML, GPX or CSV file
+     * @param {Object} filter - Active filter state
+     * @param {Object} options
+     * @param {string} options.format - A CONFIG.EXPORT.FORMATS ID
+     * @param {Object|null} options.bounds - {north, south, east, west} to export only that area
+     * @param {string} options.title - Document name written into KML and GPX
+     * @param {Object<string, string>} options.labels - Translated category label per markerColor
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<{content: string, count: number}>}
+     */
+    static exportStores(filter, { format, bounds = null, title, labels, signal }) {
+        return StoreService._request('EXPORT', { filter, bounds, format, options: { title, labels } }, signal);
+    }
+
+    /**
+     * Aggregates the whole dataset for the statistics dashboard, ignoring filters
+     * @param {{signal: AbortSignal}} [options]
+     * @returns {Promise<{current: Object, previous: (Object|null)}>} previous describes the dataset the
+     *     current one replaced, when known; both have {lastUpdated, total, categories, specialShape,
+     *     dualFlavor, counties, dualDistricts}
+     */
+    static getDashboard({ signal } = {}) {
+        return StoreService._request('DASHBOARD', {}, signal);
+    }
+
+    /**
+     * Counts visible stores per county and district, ignoring the filter's own region
+     * @param {Object} filter - Active filter state
+     * @param {{signal: AbortSignal}} [options]
+     * @returns {Promise<Array<Object>>} Counties, most stores first:
+     *     {county, total, categories, bounds, districts: [{district, total, categories, bounds}]}
+     */
+    static getRegions(filter, { signal } = {}) {
+        return StoreService._request('REGIONS', { filter }, signal);
+    }
+
+    /**
+     * Lists the clusters and single locations to draw for a map view, clustered inside the worker
+     * @param {Object} bounds - {north, south, east, west}
+     * @param {number} zoom
+     * @param {Object} filter - Active filter state; hidden categories are excluded
+     * @param {{signal: AbortSignal}} [options]
+     * @returns {Promise<Array<Object>>} {type: 'cluster', id, latitude, longitude, count, categories, expansionZoom}
+     *     or {type: 'point', id, latitude, longitude, storeIds} where id is the locationId
+     */
+    static getClusters(bounds, zoom, filter, { signal } = {}) {
+        return StoreService._request('CLUSTERS', { bounds, zoom, filter }, signal);
+    }
+
+    /**
+     * Finds the zoom at which a store's location is drawn on its own rather than in a cluster
+     * @param {string} storeId
+     * @param {Object} filter - Active filter state
+     * @returns {Promise<number|null>} Null when the store is unknown or filtered out
+     */
+    static getSplitZoom(storeId, filter) {
+        return StoreService._request('SPLIT_ZOOM', { storeId, filter });
+    }
+
+    /**
+     * Sends a command to the worker and waits for the reply with the same id
+     * @param {string} command
+     * @param {Object} params
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<*>}
+     */
+    static _request(command, params = {}, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(new DOMException('Request cancelled', 'AbortError'));
+        }
+
+        const target = StoreService._getWorker();
+        const id = ++requestSequence;
 
-            // Pass necessary config to worker
-            const workerConfig = {
-                DATA_URL: CONFIG.DATA_URL,
-                MARKERS: CONFIG.MARKERS,
-                COLORS: CONFIG.COLORS
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                pendingRequests.delete(id);
+                target.postMessage({ command: 'CANCEL', params: { id } });
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            };
+            const cleanup = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
             };
 
-            // Start the fetch process
-            worker.postMessage({ 
-                type: 'FETCH_STORES',
-                config: workerConfig
+            pendingRequests.set(id, {
+                resolve: (result) => { cleanup(); resolve(result); },
+                reject: (error) => { cleanup(); reject(error); }
             });
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            target.postMessage({ id, command, params });
         });
     }
+
+    /**
+     * Creates the worker on first use and reuses it afterwards
+     * @returns {Worker}
+     */
+    static _getWorker() {
+        if (worker) return worker;
+
+        // Use standard Worker constructor for static deployment compatibility
+        // Module type lets the worker share helpers (text normalization, filters) with the main thread
+        worker = new Worker(new URL('../../worker/store.worker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = (e) => StoreService._settle(e.data);
+
+        worker.onerror = (error) => {
+            // A crashed worker loses its dataset; the next request starts a fresh one
+            StoreService._resetWorker(new StoreWorkerError(
+                StoreWorkerError.CODES.WORKER_CRASHED,
+                error.message || 'Store worker failed'
+            ));
+        };
+
+        return worker;
+    }
+
+    static _settle({ id, result, error }) {
+        const pending = pendingRequests.get(id);
+        if (!pending) return; // Cancelled, or the worker was reset
+
+        pendingRequests.delete(id);
+        if (error) {
+            pending.reject(new StoreWorkerError(error.code, error.message));
+        } else {
+            pending.resolve(result);
+        }
+    }
+
+    static _resetWorker(reason) {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        pendingRequests.forEach(pending => pending.reject(reason));
+        pendingRequests.clear();
+    }
 }
@@ -0,0 +1,113 @@
+import { CONFIG } from '../config.js';
+import { GeoUtils } from '../helpers/GeoUtils.js';
+import { LocationService } from './LocationService.js';
+
+/**
+ * Position provider that replays a recorded track (see TrackParser), looping at the end
+ * The track plays on a clock of its own, sped up by a factor; positions between points are interpolated,
+ * with heading and speed taken from the current segment
+ * Same API as GpsPositionProvider; a watch reports a position every REPLAY_TICK_MS
+ */
+export class TrackReplayPositionProvider {
+    /**
+     * @param {Array<{latitude: number, longitude: number, time: (number|null)}>} points - At least two
+     * @param {number} speed - Playback factor, 1 for real time
+     */
+    constructor(points, speed = 1) {
+        this.points = TrackReplayPositionProvider._createTimeline(points);
+        this.duration = this.points.length > 0 ? this.points[this.points.length - 1].offset : 0;
+        this.speed = speed;
+        this.startOffset = 0; // Track time in ms at startedAt
+        this.startedAt = Date.now();
+        this.timers = new Map(); // Watch ID -> interval
+        this.nextWatchId = 1;
+    }
+
+    /**
+     * Milliseconds from the start of the track for each point
+     * Recorded times are used when every point has one and they never go backwards;
+     * otherwise the track is walked at a constant REPLAY_WALKING_SPEED
+     */
+    static _createTimeline(points) {
+        const hasTimes = points.every((point, i) =>
+            point.time !== null && (i === 0 || point.time >= points[i - 1].time)
+        );
+
+        let offset = 0;
+        return points.map((point, i) => {
+            if (i > 0) {
+                const previous = points[i - 1];
+                offset = hasTimes
+                    ? point.time - points[0].time
+                    : offset + GeoUtils.distance(previous.latitude, previous.longitude, point.latitude, point.longitude) /
+                        CONFIG.POSITION_PROVIDERS.REPLAY_WALKING_SPEED * 1000;
+            }
+            return { latitude: point.latitude, longitude: point.longitude, offset };
+        });
+    }
+
+    get isSupported() {
+        return this.points.length > 0;
+    }
+
+    /**
+     * Changes the playback factor without jumping along the track
+     * @param {number} speed
+     */
+    setSpeed(speed) {
+        this.startOffset = this._currentOffset();
+        this.startedAt = Date.now();
+        this.speed = speed;
+    }
+
+    getCurrentPosition(successCallback) {
+        setTimeout(() => successCallback(this._createPosition()), 0);
+    }
+
+    /**
+     * @returns {number} Watch ID for clearWatch
+     */
+    watchPosition(successCallback) {
+        const watchId = this.nextWatchId++;
+        this.timers.set(watchId, setInterval(
+            () => successCallback(this._createPosition()),
+            CONFIG.POSITION_PROVIDERS.REPLAY_TICK_MS
+        ));
+        return watchId;
+    }
+
+    clearWatch(watchId) {
+        clearInterval(this.timers.get(watchId));
+        this.timers.delete(watchId);
+    }
+
+    _currentOffset() {
+        const offset = this.startOffset + (Date.now() - this.startedAt) * this.speed;
+        return this.duration > 0 ? offset % this.duration : 0;
+    }
+
+    _createPosition() {
+        const offset = this._currentOffset();
+        const nextIndex = this.points.findIndex(point => point.offset > offset);
+        if (nextIndex <= 0) {
+            const { latitude, longitude } = this.points[0];
+            return LocationService.createPosition(latitude, longitude, {
+                accuracy: CONFIG.POSITION_PROVIDERS.SIMULATED_ACCURACY
+            });
+        }
+
+        const from = this.points[nextIndex - 1];
+        const to = this.points[nextIndex];
+        const fraction = (offset - from.offset) / (to.offset - from.offset);
+        const segmentMeters = GeoUtils.distance(from.latitude, from.longitude, to.latitude, to.longitude);
+        return LocationService.createPosition(
+            from.latitude + (to.latitude - from.latitude) * fraction,
+            from.longitude + (to.longitude - from.longitude) * fraction,
+            {
+                accuracy: CONFIG.POSITION_PROVIDERS.SIMULATED_ACCURACY,
+                heading: segmentMeters > 0 ? GeoUtils.bearing(from.latitude, from.longitude, to.latitude, to.longitude) : null,
+                speed: segmentMeters / ((to.offset - from.offset) / 1000)
+            }
+        );
+    }
+}
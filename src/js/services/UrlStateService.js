@@ -0,0 +1,96 @@
+import { CONFIG } from '../config.js';
+
+const ALL_CATEGORIES = CONFIG.CATEGORIES.map(category => category.ID);
+
+/**
+ * Service to read and write shareable app state in the URL hash
+ * Format: #map=<zoom>/<lat>/<lng>&store=<id>&cat=<ids>&q=<query>
+ */
+export class UrlStateService {
+    /**
+     * Parses the current location hash
+     * @returns {{view: ({center: Array<number>, zoom: number}|null), storeId: (string|null), categories: (Array<string>|null), query: (string|null)}}
+     */
+    static read() {
+        const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+
+        let view = null;
+        const mapParam = params.get(CONFIG.URL_PARAMS.MAP);
+        if (mapParam) {
+            const [zoom, lat, lng] = mapParam.split('/').map(Number);
+            if ([zoom, lat, lng].every(Number.isFinite)) {
+                view = { center: [lat, lng], zoom };
+            }
+        }
+
+        const catParam = params.get(CONFIG.URL_PARAMS.CATEGORIES);
+        const categories = catParam === null
+            ? null
+            : catParam.split(',').filter(id => ALL_CATEGORIES.includes(id));
+
+        return {
+            view,
+            storeId: params.get(CONFIG.URL_PARAMS.STORE),
+            categories,
+            query: params.get(CONFIG.URL_PARAMS.QUERY)
+        };
+    }
+
+    /**
+     * Parses the developer flags in the query string that pick a simulated position provider,
+     * e.g. ?location=fixed&at=25.0330,121.5654 or ?location=replay&track=walk.gpx&speed=10
+     * They live outside the hash so shared links and URL syncing leave them alone
+     * @returns {{provider: (string|null), at: (Array<number>|null), track: (string|null), speed: number, debug: boolean}}
+     */
+    static readPositionFlags() {
+        const { TYPES, QUERY_PARAMS } = CONFIG.POSITION_PROVIDERS;
+        const params = new URLSearchParams(window.location.search);
+
+        const provider = params.get(QUERY_PARAMS.PROVIDER);
+        const at = (params.get(QUERY_PARAMS.AT) || '').split(',').map(Number);
+        const speed = Number(params.get(QUERY_PARAMS.SPEED));
+
+        return {
+            provider: Object.values(TYPES).includes(provider) ? provider : null,
+            at: at.length === 2 && at.every(Number.isFinite) ? at : null,
+            track: params.get(QUERY_PARAMS.TRACK),
+            speed: speed > 0 ? speed : 1,
+            debug: params.has(QUERY_PARAMS.DEBUG)
+        };
+    }
+
+    /**
+     * Builds the hash for a given state, omitting defaults to keep links short
+     * @param {Object} state - Same shape as read()
+     * @returns {string} Hash including the leading '#', or '' when empty
+     */
+    static toHash({ view, storeId, categories, query }) {
+        const params = new URLSearchParams();
+
+        if (view) {
+            const [lat, lng] = view.center;
+            params.set(CONFIG.URL_PARAMS.MAP, `${view.zoom}/${lat.toFixed(5)}/${lng.toFixed(5)}`);
+        }
+        if (storeId) {
+            params.set(CONFIG.URL_PARAMS.STORE, storeId);
+        }
+        if (categories && categories.length !== ALL_CATEGORIES.length) {
+            params.set(CONFIG.URL_PARAMS.CATEGORIES, categories.join(','));
+        }
+        if (query) {
+            params.set(CONFIG.URL_PARAMS.QUERY, query);
+        }
+
+        const hash = params.toString();
+        return hash ? `#${hash}` : '';
+    }
+
+    /**
+     * Replaces the current URL without adding a history entry
+     * @param {Object} state - Same shape as read()
+     */
+    static write(state) {
+        const url = window.location.pathname + window.location.search + this.toHash(state);
+        history.replaceState(null, '', url);
+    }
+}
@@ -1,7 +1,47 @@
 /**
  * Web Worker for handling store data fetching and processing
  * Runs in a background thread to avoid blocking the UI
+ * Long-lived: loads the dataset once, then answers queries against it
+ * Protocol (see StoreService):
+ *   request  {id, command, params}  ->  reply {id, result} or {id, error: {code, message}}
+ *   {command: 'CANCEL', params: {id}} aborts a running request; it has no reply of its own
  */
+import { TextNormalizer } from '../js/helpers/TextNormalizer.js';
+import { StoreFilter } from '../js/helpers/StoreFilter.js';
+import { GeoUtils } from '../js/helpers/GeoUtils.js';
+import { DatasetDiff } from '../js/helpers/DatasetDiff.js';
+import { StoreDataFormat } from '../js/helpers/StoreDataFormat.js';
+import { StoreValidator } from '../js/helpers/StoreValidator.js';
+import { StoreWorkerError } from '../js/helpers/StoreWorkerError.js';
+import { ClusterIndex } from '../js/helpers/ClusterIndex.js';
+import { AddressParser } from '../js/helpers/AddressParser.js';
+import { StoreExporter } from '../js/helpers/StoreExporter.js';
+import { DatabaseService } from '../js/services/DatabaseService.js';
+import { CONFIG } from '../js/config.js';
+
+// Processed stores and their search keys, kept for follow-up queries
+let storesCache = [];
+let searchIndex = [];
+let currentLastUpdated = '';
+let isLoaded = false;
+
+// Cluster index of the visible stores, rebuilt when the dataset or the filter changes
+let clusterIndex = null;
+let clusterFilterKey = null;
+let clusterLocations = new Map(); // locationId -> IDs of the visible stores there
+
+// AbortControllers of requests still running, by request id
+const activeRequests = new Map();
+
+// Key of the snapshot the user last acknowledged in the "what changed" summary
+const SEEN_SNAPSHOT_KEY = 'seen';
+// Key of the snapshot of the dataset the current one replaced, for statistics over time
+const PREVIOUS_SNAPSHOT_KEY = 'previous';
+
+// Key of the normalized dataset kept for instant startup
+const CACHED_DATASET_KEY = 'current';
+// Bump when normalizeStoreData or groupColocatedStores change the store shape, so stale caches are ignored
+const DATASET_FORMAT = 3;
 
 /**
  * Normalizes raw store data into a consistent format
@@ -26,11 +66,22 @@ function normalizeStoreData(rawStore, config) {
         ? config.COLORS.RED 
         : config.COLORS.BLUE;
 
+    // Unnamed rows pass validation with a warning, so they are still shown
+    const name = rawStore.NAME || 'Unknown Store';
+    const address = rawStore.addr || '';
+    const { county, district, road } = AddressParser.parse(address);
+
     return {
-        name: rawStore.NAME || 'Unknown Store',
+        // Names survive regeneration, unlike array positions; keyed like the validator's duplicate
+        // check, and made unique by assignUniqueIds when two stores share a name
+        id: rawStore.NAME ? StoreValidator.nameKey(rawStore.NAME) : `${rawStore.px},${rawStore.py}`,
+        name: name,
         latitude: parseFloat(rawStore.py),
         longitude: parseFloat(rawStore.px),
-        address: rawStore.addr || '',
+        address: address,
+        county: county,
+        district: district,
+        road: road,
         phone: rawStore.TEL || '',
         flavorType: flavorType,
         markerColor: markerColor,
@@ -41,72 +92,617 @@ function normalizeStoreData(rawStore, config) {
 }
 
 /**
- * Fetches and processes store data
- * @param {Object} config - Configuration object
+ * Builds normalized search keys for every store
+ * Name is kept separate so name hits can be ranked above address/phone hits
+ * @param {Array} stores 
+ * @returns {Array<{name: string, text: string}>}
+ */
+function buildSearchIndex(stores) {
+    return stores.map(store => ({
+        name: TextNormalizer.forSearch(store.name),
+        // Separator keeps a token from matching across field boundaries
+        text: TextNormalizer.forSearch([store.name, store.address, store.phone].join('|'))
+    }));
+}
+
+/**
+ * Finds stores whose name, address or phone contain every query token
+ * @param {string} query 
+ * @param {Object} filter - Active filter state
+ * @param {number} limit 
+ * @returns {Array<string>} Matching store IDs, best matches first
+ */
+function searchStores(query, filter, limit) {
+    const tokens = TextNormalizer.tokenize(query);
+    if (tokens.length === 0) return [];
+
+    const isVisible = StoreFilter.compile(filter);
+    const matches = [];
+    storesCache.forEach((store, index) => {
+        const entry = searchIndex[index];
+        if (!tokens.every(token => entry.text.includes(token))) return;
+        if (!isVisible(store)) return;
+
+        // Lower score ranks first: name prefix, then name contains, then address/phone only
+        let score = 2;
+        if (tokens.every(token => entry.name.includes(token))) {
+            score = entry.name.startsWith(tokens[0]) ? 0 : 1;
+        }
+        matches.push({ id: store.id, score, length: entry.name.length });
+    });
+
+    return matches
+        .sort((a, b) => a.score - b.score || a.length - b.length)
+        .slice(0, limit)
+        .map(match => match.id);
+}
+
+/**
+ * Ranks stores by distance from a point
+ * @param {number} latitude 
+ * @param {number} longitude 
+ * @param {Object} filter - Active filter state
+ * @param {number} limit 
+ * @returns {Array<{id: string, distance: number}>} Closest first, distance in meters
+ */
+function findNearestStores(latitude, longitude, filter, limit) {
+    return storesCache
+        .filter(StoreFilter.compile(filter))
+        .map(store => ({
+            id: store.id,
+            distance: GeoUtils.distance(latitude, longitude, store.latitude, store.longitude)
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit);
+}
+
+/**
+ * Lists visible stores inside a bounding box
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {Object} filter - Active filter state
+ * @returns {Array<string>} Store IDs
+ */
+function queryStoresInBounds(bounds, filter) {
+    const { north, south, east, west } = bounds;
+    const isVisible = StoreFilter.compile(filter);
+    return storesCache
+        .filter(store =>
+            store.latitude <= north && store.latitude >= south &&
+            store.longitude <= east && store.longitude >= west &&
+            isVisible(store))
+        .map(store => store.id);
+}
+
+/**
+ * Counts stores overall and per category among those passing the filter
+ * @param {Object} filter - Active filter state
+ * @returns {{total: number, visible: number, categories: Object<string, number>}}
+ */
+function computeStats(filter) {
+    const isVisible = StoreFilter.compile(filter);
+    const stats = { total: storesCache.length, visible: 0, categories: {} };
+    storesCache.forEach(store => {
+        if (!isVisible(store)) return;
+        stats.visible++;
+        stats.categories[store.markerColor] = (stats.categories[store.markerColor] || 0) + 1;
+    });
+    return stats;
+}
+
+/**
+ * Weights visible stores for the density heatmap
+ * @param {Object} filter - Active filter state
+ * @param {Object<string, number>} weights - Weight per markerColor; missing categories are left out
+ * @returns {Array<Array<number>>} [latitude, longitude, weight]
+ */
+function computeHeatmap(filter, weights) {
+    const isVisible = StoreFilter.compile(filter);
+    const points = [];
+    storesCache.forEach(store => {
+        const weight = weights[store.markerColor] || 0;
+        if (weight > 0 && isVisible(store)) {
+            points.push([store.latitude, store.longitude, weight]);
+        }
+    });
+    return points;
+}
+
+/**
+ * Writes the visible stores to a file, optionally only those inside a bounding box
+ * @param {Object} filter - Active filter state
+ * @param {Object|null} bounds - {north, south, east, west}; null for every visible store
+ * @param {string} format - A CONFIG.EXPORT.FORMATS ID
+ * @param {{title: string, labels: Object<string, string>}} options - Passed on to StoreExporter
+ * @returns {{content: string, count: number}}
+ */
+function exportStores(filter, bounds, format, options) {
+    const isVisible = StoreFilter.compile(filter);
+    const stores = storesCache.filter(store =>
+        isVisible(store) && (!bounds || (
+            store.latitude <= bounds.north && store.latitude >= bounds.south &&
+            store.longitude <= bounds.east && store.longitude >= bounds.west
+        ))
+    );
+    return { content: StoreExporter.write(stores, format, options), count: stores.length };
+}
+
+/**
+ * Counts visible stores per county and district, by category, with the area each covers
+ * The filter's own region is ignored so the picker can offer every region
+ * @param {Object} filter - Active filter state
+ * @returns {Array<Object>} Counties, most stores first:
+ *     {county, total, categories, bounds, districts: [{district, total, categories, bounds}]}
+ */
+function computeRegions(filter) {
+    const isVisible = StoreFilter.compile({ ...filter, region: null });
+    const createEntry = () => ({
+        total: 0,
+        categories: {},
+        bounds: { north: -90, south: 90, east: -180, west: 180 }
+    });
+    const addStore = (entry, store) => {
+        entry.total++;
+        entry.categories[store.markerColor] = (entry.categories[store.markerColor] || 0) + 1;
+        entry.bounds.north = Math.max(entry.bounds.north, store.latitude);
+        entry.bounds.south = Math.min(entry.bounds.south, store.latitude);
+        entry.bounds.east = Math.max(entry.bounds.east, store.longitude);
+        entry.bounds.west = Math.min(entry.bounds.west, store.longitude);
+    };
+
+    const counties = new Map();
+    storesCache.forEach(store => {
+        if (!store.county || !isVisible(store)) return;
+        if (!counties.has(store.county)) {
+            counties.set(store.county, { county: store.county, ...createEntry(), districts: new Map() });
+        }
+        const county = counties.get(store.county);
+        addStore(county, store);
+
+        if (!store.district) return;
+        if (!county.districts.has(store.district)) {
+            county.districts.set(store.district, { district: store.district, ...createEntry() });
+        }
+        addStore(county.districts.get(store.district), store);
+    });
+
+    const byTotal = (a, b) => b.total - a.total;
+    return Array.from(counties.values())
+        .map(county => ({ ...county, districts: Array.from(county.districts.values()).sort(byTotal) }))
+        .sort(byTotal);
+}
+
+/**
+ * Aggregates stores for the statistics dashboard
+ * @param {Array<Object>} stores - Normalized stores or snapshot stores (both carry markerColor, county, district)
+ * @returns {{total: number, categories: Object<string, number>, specialShape: number, dualFlavor: number,
+ *     counties: Array<Object>, dualDistricts: Array<{county: string, district: string, count: number}>}}
+ *     counties are {county, total, categories, districts: [{district, total, categories}]}, most stores first
+ */
+function aggregateStores(stores) {
+    const dualFlavor = new Set(CONFIG.STATS.DUAL_FLAVOR_CATEGORIES);
+    const specialShape = new Set(CONFIG.STATS.SPECIAL_SHAPE_CATEGORIES);
+    const addStore = (entry, store) => {
+        entry.total++;
+        entry.categories[store.markerColor] = (entry.categories[store.markerColor] || 0) + 1;
+    };
+
+    const result = { total: 0, categories: {}, specialShape: 0, dualFlavor: 0, counties: [], dualDistricts: [] };
+    const counties = new Map();
+    stores.forEach(store => {
+        addStore(result, store);
+        if (specialShape.has(store.markerColor)) result.specialShape++;
+        if (dualFlavor.has(store.markerColor)) result.dualFlavor++;
+
+        if (!store.county) return;
+        if (!counties.has(store.county)) {
+            counties.set(store.county, { county: store.county, total: 0, categories: {}, districts: new Map() });
+        }
+        const county = counties.get(store.county);
+        addStore(county, store);
+
+        if (!store.district) return;
+        if (!county.districts.has(store.district)) {
+            county.districts.set(store.district, { district: store.district, total: 0, categories: {} });
+        }
+        addStore(county.districts.get(store.district), store);
+    });
+
+    const byTotal = (a, b) => b.total - a.total;
+    result.counties = Array.from(counties.values())
+        .map(county => ({ ...county, districts: Array.from(county.districts.values()).sort(byTotal) }))
+        .sort(byTotal);
+
+    const countDual = categories => CONFIG.STATS.DUAL_FLAVOR_CATEGORIES
+        .reduce((sum, category) => sum + (categories[category] || 0), 0);
+    result.dualDistricts = result.counties
+        .flatMap(county => county.districts.map(district => ({
+            county: county.county,
+            district: district.district,
+            count: countDual(district.categories)
+        })))
+        .filter(entry => entry.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, CONFIG.STATS.TOP_DISTRICTS);
+
+    return result;
+}
+
+/**
+ * Builds the statistics dashboard for the loaded dataset and, when known, the one it replaced
+ * @returns {Promise<{current: Object, previous: (Object|null)}>} aggregateStores results plus lastUpdated
  */
-async function fetchAndProcessStores(config) {
+async function computeDashboard() {
+    const current = { lastUpdated: currentLastUpdated, ...aggregateStores(storesCache) };
+
+    let previous = null;
     try {
-        const response = await fetch(config.DATA_URL);
-        if (!response.ok) {
-            throw new Error(`Network response was not ok: ${response.statusText}`);
+        const snapshot = await DatabaseService.get(CONFIG.DATABASE.STORES.SNAPSHOTS, PREVIOUS_SNAPSHOT_KEY);
+        if (snapshot && snapshot.lastUpdated !== currentLastUpdated) {
+            previous = { lastUpdated: snapshot.lastUpdated, ...aggregateStores(snapshot.stores) };
         }
-        const rawData = await response.json();
-        
-        let lastUpdated = '';
-        let stores = [];
-
-        // Check if data is in optimized format (Object with keys/data) or legacy format (Array)
-        if (rawData.keys && Array.isArray(rawData.data)) {
-            // New Optimized Format
-            lastUpdated = rawData.last_updated || '';
-            const keys = rawData.keys;
-            
-            stores = rawData.data.map(row => {
-                // Map array back to object
-                const storeObj = {};
-                keys.forEach((key, index) => {
-                    storeObj[key] = row[index];
-                });
-                return normalizeStoreData(storeObj, config);
-            }).filter(store => store.isValid);
-
-        } else if (Array.isArray(rawData)) {
-            // Legacy Format (for backward compatibility or if update failed)
-            if (rawData.length > 0 && rawData[0].last_updated) {
-                lastUpdated = rawData[0].last_updated;
-            }
-            stores = rawData
-                .map(store => normalizeStoreData(store, config))
-                .filter(store => store.isValid);
-        } else {
-             throw new Error('Invalid data format');
+    } catch (error) {
+        // The comparison is optional; the dashboard still works without it
+        console.warn('Previous dataset unavailable:', error);
+    }
+    return { current, previous };
+}
+
+/**
+ * Returns the cluster index for a filter, building it on first use
+ * Each location (co-located stores share one) is one point, weighted by its visible stores
+ * @param {Object} filter - Active filter state
+ * @returns {ClusterIndex}
+ */
+function getClusterIndex(filter) {
+    const key = JSON.stringify(filter || null);
+    if (clusterIndex && key === clusterFilterKey) return clusterIndex;
+
+    const isVisible = StoreFilter.compile(filter);
+    const points = new Map();
+    clusterLocations = new Map();
+    storesCache.forEach(store => {
+        if (!isVisible(store)) return;
+        const locationId = store.locationId || store.id;
+        if (!points.has(locationId)) {
+            points.set(locationId, {
+                id: locationId,
+                latitude: store.latitude,
+                longitude: store.longitude,
+                categories: {}
+            });
+            clusterLocations.set(locationId, []);
         }
-            
-        // Send result back to main thread
-        self.postMessage({
-            type: 'SUCCESS',
-            payload: { stores, lastUpdated }
+        const point = points.get(locationId);
+        point.categories[store.markerColor] = (point.categories[store.markerColor] || 0) + 1;
+        clusterLocations.get(locationId).push(store.id);
+    });
+
+    clusterIndex = new ClusterIndex(Array.from(points.values()), {
+        radius: CONFIG.CLUSTER.RADIUS,
+        minZoom: CONFIG.CLUSTER.MIN_ZOOM,
+        maxZoom: CONFIG.CLUSTER.MAX_ZOOM
+    });
+    clusterFilterKey = key;
+    return clusterIndex;
+}
+
+/**
+ * Lists the clusters and single locations to draw for a view
+ * @param {Object} bounds - {north, south, east, west}
+ * @param {number} zoom
+ * @param {Object} filter - Active filter state
+ * @returns {Array<Object>} ClusterIndex features; points also carry the storeIds at that location
+ */
+function getClusters(bounds, zoom, filter) {
+    return getClusterIndex(filter).getClusters(bounds, zoom).map(feature =>
+        feature.type === 'point'
+            ? { ...feature, storeIds: clusterLocations.get(feature.id) }
+            : feature
+    );
+}
+
+/**
+ * @param {string} storeId
+ * @param {Object} filter - Active filter state
+ * @returns {number|null} Lowest zoom at which the store's location leaves its cluster, or null if hidden
+ */
+function getSplitZoom(storeId, filter) {
+    const store = storesCache.find(candidate => candidate.id === storeId);
+    if (!store) return null;
+    return getClusterIndex(filter).getSplitZoom(store.locationId || store.id);
+}
+
+/**
+ * Reduces stores to what the next diff needs, keeping removed stores listable
+ * @param {Array} stores 
+ * @returns {Array<Object>}
+ */
+function createSnapshotStores(stores) {
+    return stores.map(({ id, name, address, markerColor, county, district }) => ({
+        id, name, address, markerColor, county, district
+    }));
+}
+
+/**
+ * Saves the loaded dataset as the one the user has seen
+ */
+async function saveSeenSnapshot() {
+    await DatabaseService.put(CONFIG.DATABASE.STORES.SNAPSHOTS, {
+        key: SEEN_SNAPSHOT_KEY,
+        lastUpdated: currentLastUpdated,
+        stores: createSnapshotStores(storesCache)
+    });
+}
+
+/**
+ * Keeps the cached dataset that a newer load is about to replace, for the statistics comparison
+ * @param {string} lastUpdated - Timestamp of the incoming dataset
+ */
+async function savePreviousSnapshot(lastUpdated) {
+    try {
+        const cached = await DatabaseService.get(CONFIG.DATABASE.STORES.DATASETS, CACHED_DATASET_KEY);
+        if (!cached || cached.lastUpdated === lastUpdated) return;
+
+        await DatabaseService.put(CONFIG.DATABASE.STORES.SNAPSHOTS, {
+            key: PREVIOUS_SNAPSHOT_KEY,
+            lastUpdated: cached.lastUpdated,
+            stores: createSnapshotStores(cached.stores)
         });
+    } catch (error) {
+        console.warn('Failed to keep the previous dataset:', error);
+    }
+}
+
+/**
+ * Compares the loaded dataset with the last acknowledged one
+ * First-time visitors get a baseline snapshot and no diff
+ * @returns {Promise<Object|null>} Diff with both timestamps, or null if nothing to report
+ */
+async function diffWithSeenSnapshot() {
+    try {
+        const seen = await DatabaseService.get(CONFIG.DATABASE.STORES.SNAPSHOTS, SEEN_SNAPSHOT_KEY);
+        if (!seen) {
+            await saveSeenSnapshot();
+            return null;
+        }
+        if (seen.lastUpdated === currentLastUpdated) return null;
 
+        const diff = DatasetDiff.compare(seen.stores, storesCache);
+        if (DatasetDiff.isEmpty(diff)) {
+            await saveSeenSnapshot();
+            return null;
+        }
+
+        return { ...diff, previousUpdated: seen.lastUpdated, currentUpdated: currentLastUpdated };
     } catch (error) {
-        self.postMessage({
-            type: 'ERROR',
-            error: error.message
+        // Diffing is a nicety; never block the map on it
+        console.warn('Dataset diff unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Gives stores that share a name (a DUPLICATE_NAME warning) distinct IDs by suffixing their coordinates,
+ * so favorites and store links still point at one store; the first one keeps the plain name
+ * @param {Array} stores - Normalized stores; mutated in place
+ */
+function assignUniqueIds(stores) {
+    const usedIds = new Set();
+    stores.forEach(store => {
+        if (usedIds.has(store.id)) {
+            store.id = `${store.id}@${store.longitude},${store.latitude}`;
+        }
+        usedIds.add(store.id);
+    });
+}
+
+/**
+ * Assigns a shared locationId to stores at the same or near-identical coordinates
+ * (e.g. two counters in one station building) so they can share one marker
+ * Stores are bucketed on a ~11 m grid and compared against neighbouring cells only
+ * @param {Array} stores - Normalized stores; mutated in place
+ * @param {number} radiusMeters - Maximum distance to count as the same spot
+ */
+function groupColocatedStores(stores, radiusMeters) {
+    const CELL_SIZE = 0.0001; // degrees
+    const cells = new Map();
+    const cellKey = (x, y) => `${x}:${y}`;
+
+    const findNearby = (store, x, y) => {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const neighbours = cells.get(cellKey(x + dx, y + dy)) || [];
+                const match = neighbours.find(other =>
+                    GeoUtils.distance(store.latitude, store.longitude, other.latitude, other.longitude) <= radiusMeters
+                );
+                if (match) return match;
+            }
+        }
+        return null;
+    };
+
+    stores.forEach(store => {
+        const x = Math.floor(store.longitude / CELL_SIZE);
+        const y = Math.floor(store.latitude / CELL_SIZE);
+        const nearby = findNearby(store, x, y);
+        const locationId = nearby ? nearby.locationId : store.id;
+
+        store.locationId = locationId;
+        const key = cellKey(x, y);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(store);
+    });
+}
+
+/**
+ * Tells whether a server timestamp is newer than the one already loaded
+ * Timestamps are 'YYYY-MM-DD HH:mm:ss', which sort correctly as strings
+ * @param {string} candidate
+ * @param {string} known
+ * @returns {boolean}
+ */
+function isNewerDataset(candidate, known) {
+    if (!candidate || !known) return candidate !== known;
+    return candidate > known;
+}
+
+/**
+ * Makes a dataset the one queries run against
+ */
+function useDataset(stores, lastUpdated) {
+    storesCache = stores;
+    searchIndex = buildSearchIndex(stores);
+    currentLastUpdated = lastUpdated;
+    isLoaded = true;
+    clusterIndex = null;
+}
+
+/**
+ * Loads the normalized dataset saved by the last network load
+ * @returns {Promise<Object|null>} Same shape as loadStores, or null without a usable cache
+ */
+async function loadCachedStores() {
+    const cached = await DatabaseService.get(CONFIG.DATABASE.STORES.DATASETS, CACHED_DATASET_KEY);
+    if (!cached || cached.format !== DATASET_FORMAT) return null;
+
+    useDataset(cached.stores, cached.lastUpdated);
+    const diff = await diffWithSeenSnapshot();
+    return { stores: cached.stores, lastUpdated: cached.lastUpdated, diff, report: cached.report };
+}
+
+/**
+ * Saves the processed dataset so the next startup can skip the network
+ */
+async function saveCachedStores(stores, lastUpdated, report) {
+    try {
+        await DatabaseService.put(CONFIG.DATABASE.STORES.DATASETS, {
+            key: CACHED_DATASET_KEY,
+            format: DATASET_FORMAT,
+            lastUpdated,
+            stores,
+            report
         });
+    } catch (error) {
+        // The next startup just falls back to the network
+        console.warn('Failed to cache store data:', error);
+    }
+}
+
+/**
+ * Fetches and processes store data, replacing the loaded dataset
+ * @param {Object} config - Configuration object passed from the main thread
+ * @param {string} [ifNewerThan] - Skip processing unless the server's last_updated is newer than this
+ * @param {AbortSignal} signal
+ * @returns {Promise<Object|null>} {stores, lastUpdated, diff, report}, or null if not newer
+ */
+async function loadStores(config, ifNewerThan, signal) {
+    if (!config) {
+        throw new StoreWorkerError(StoreWorkerError.CODES.INVALID_PARAMS, 'Configuration missing in worker');
+    }
+
+    let rawData;
+    try {
+        const response = await fetch(config.DATA_URL, { signal });
+        if (!response.ok) {
+            throw new Error(`Network response was not ok: ${response.statusText}`);
+        }
+        rawData = await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new StoreWorkerError(StoreWorkerError.CODES.FETCH_FAILED, error.message);
+    }
+    const { lastUpdated, records } = StoreDataFormat.parse(rawData);
+    if (ifNewerThan !== undefined && !isNewerDataset(lastUpdated, ifNewerThan)) return null;
+
+    // Reject broken rows and flag suspicious ones so a bad scrape is reported, not silently dropped
+    const validator = new StoreValidator();
+    const stores = records
+        .map(record => {
+            const result = validator.check(record);
+            return result.accepted ? normalizeStoreData(result.record, config) : { isValid: false };
+        })
+        .filter(store => store.isValid);
+    const report = validator.getReport();
+    assignUniqueIds(stores);
+    groupColocatedStores(stores, config.COLOCATION_RADIUS);
+
+    // A cancelled load must not replace the dataset other queries are using
+    if (signal.aborted) throw new DOMException('Load cancelled', 'AbortError');
+    useDataset(stores, lastUpdated);
+    await savePreviousSnapshot(lastUpdated);
+    await saveCachedStores(stores, lastUpdated, report);
+
+    const diff = await diffWithSeenSnapshot();
+    return { stores, lastUpdated, diff, report };
+}
+
+/**
+ * Guards queries that need a loaded dataset
+ * @param {Function} handler
+ * @returns {Function}
+ */
+function requireDataset(handler) {
+    return (params, signal) => {
+        if (!isLoaded) {
+            throw new StoreWorkerError(StoreWorkerError.CODES.NOT_LOADED, 'Store data has not been loaded');
+        }
+        return handler(params, signal);
+    };
+}
+
+// Commands by name; each gets the request params and an AbortSignal and returns the result (or a promise of it)
+const commandHandlers = {
+    LOAD: ({ config, ifNewerThan }, signal) => loadStores(config, ifNewerThan, signal),
+    LOAD_CACHED: () => loadCachedStores(),
+    // The user dismissed the change summary; the current dataset becomes the new baseline
+    ACKNOWLEDGE_DATASET: requireDataset(() => saveSeenSnapshot()),
+    QUERY_BOUNDS: requireDataset(({ bounds, filter }) => queryStoresInBounds(bounds, filter)),
+    FILTER: requireDataset(({ filter }) => storesCache.filter(StoreFilter.compile(filter)).map(store => store.id)),
+    SEARCH: requireDataset(({ query, filter, limit }) => searchStores(query, filter, limit)),
+    NEAREST: requireDataset(({ latitude, longitude, filter, limit }) => findNearestStores(latitude, longitude, filter, limit)),
+    STATS: requireDataset(({ filter }) => computeStats(filter)),
+    CLUSTERS: requireDataset(({ bounds, zoom, filter }) => getClusters(bounds, zoom, filter)),
+    SPLIT_ZOOM: requireDataset(({ storeId, filter }) => getSplitZoom(storeId, filter)),
+    REGIONS: requireDataset(({ filter }) => computeRegions(filter)),
+    DASHBOARD: requireDataset(() => computeDashboard()),
+    HEATMAP: requireDataset(({ filter, weights }) => computeHeatmap(filter, weights)),
+    EXPORT: requireDataset(({ filter, bounds, format, options }) => exportStores(filter, bounds, format, options))
+};
+
+/**
+ * Runs one request and posts its reply
+ * @param {{id: number, command: string, params: Object}} request
+ */
+async function handleRequest({ id, command, params = {} }) {
+    const handler = commandHandlers[command];
+    if (!handler) {
+        const error = new StoreWorkerError(StoreWorkerError.CODES.UNKNOWN_COMMAND, `Unknown command: ${command}`);
+        self.postMessage({ id, error: error.toJSON() });
+        return;
+    }
+
+    const controller = new AbortController();
+    activeRequests.set(id, controller);
+    try {
+        const result = await handler(params, controller.signal);
+        self.postMessage({ id, result });
+    } catch (error) {
+        const workerError = controller.signal.aborted
+            ? new StoreWorkerError(StoreWorkerError.CODES.CANCELLED, 'Request cancelled')
+            : StoreWorkerError.from(error);
+        self.postMessage({ id, error: workerError.toJSON() });
+    } finally {
+        activeRequests.delete(id);
     }
 }
 
 // Listen for messages from the main thread
 self.onmessage = function(e) {
-    if (e.data.type === 'FETCH_STORES') {
-        const config = e.data.config;
-        if (!config) {
-            self.postMessage({
-                type: 'ERROR',
-                error: 'Configuration missing in worker'
-            });
-            return;
-        }
-        fetchAndProcessStores(config);
+    const { command, params } = e.data;
+    if (command === 'CANCEL') {
+        const controller = activeRequests.get(params.id);
+        if (controller) controller.abort();
+        return;
     }
+    handleRequest(e.data);
 };
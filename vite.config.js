@@ -1,7 +1,9 @@
 import { defineConfig } from "vite";
+import { serviceWorkerPlugin } from "./scripts/vite/serviceWorkerPlugin.js";
 
 export default defineConfig({
   base: '/family_icecream_location/',
+  plugins: [serviceWorkerPlugin()],
   server: {
     host: true, // Listen on all local IPs (0.0.0.0)
     port: 5173,